@@ -1,3 +1,12 @@
 module.exports = require('./lib/searchModel');
 
-module.exports.QueryInterface = require('./lib/queryInterface');
\ No newline at end of file
+module.exports.QueryInterface = require('./lib/queryInterface');
+module.exports.SearchHandler = require('./lib/searchHandler');
+
+let errors = require('./lib/errors');
+module.exports.SearchError = errors.SearchError;
+module.exports.UnknownAttributeError = errors.UnknownAttributeError;
+module.exports.UnknownAssociationError = errors.UnknownAssociationError;
+module.exports.InvalidOperatorError = errors.InvalidOperatorError;
+module.exports.InvalidWeightError = errors.InvalidWeightError;
+module.exports.InvalidValueError = errors.InvalidValueError;
@@ -0,0 +1,81 @@
+'use strict';
+
+class SearchError extends Error {
+  /**
+   * The base class of the errors caused by invalid search or materialized view options, such as a filter by an unknown attribute.
+   * They're thrown before any query is run, so they can be told apart from database errors. Ex. to respond with 400 instead of 500.
+   * @param {String} message the error message
+   * @param {String} key the attribute or option that caused the error
+   */
+  constructor(message, key) {
+    super(message);
+    this.name = this.constructor.name;
+    this.key = key;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+class UnknownAttributeError extends SearchError {
+  /**
+   * Thrown when an option names an attribute the model doesn't have
+   * @param {String} attribute the unknown attribute
+   * @param {String} modelName the name of the model or table that doesn't have the attribute
+   * @param {String} [option] the option the attribute was passed in. Ex. "where" or "order"
+   */
+  constructor(attribute, modelName, option) {
+    super('Unknown attribute "' + attribute + '" of ' + modelName + (option ? ' in ' + option : ''), attribute);
+    this.modelName = modelName;
+    this.option = option;
+  }
+}
+
+class UnknownAssociationError extends SearchError {
+  /**
+   * Thrown when an include of a materialized view isn't an association of its parent model and doesn't set its own keys
+   * @param {String} association the name of the association or of the included model
+   * @param {String} modelName the name of the parent model
+   */
+  constructor(association, modelName) {
+    super('Unknown association "' + association + '" of ' + modelName + ' in include', association);
+    this.modelName = modelName;
+  }
+}
+
+class InvalidOperatorError extends SearchError {
+  /**
+   * Thrown when a filter uses an unsupported operator
+   * @param {String} operator the invalid operator
+   * @param {String} attribute the attribute of the filter
+   */
+  constructor(operator, attribute) {
+    super('Invalid operator "' + operator + '" in the filter of "' + attribute + '"', attribute);
+    this.operator = operator;
+  }
+}
+
+class InvalidWeightError extends SearchError {
+  /**
+   * Thrown when an attribute of the materialized view's document has a weight other than A, B, C, or D
+   * @param {*} weight the invalid weight
+   * @param {String} attribute the attribute of the weight
+   */
+  constructor(weight, attribute) {
+    super('Invalid weight "' + weight + '" of "' + attribute + '". It must be A, B, C, or D', attribute);
+    this.weight = weight;
+  }
+}
+
+class InvalidValueError extends SearchError {
+  /**
+   * Thrown when an option or a filter has a value of the wrong type. Ex. a limit that's not a number
+   * @param {String} key the option or attribute the value was passed for
+   * @param {*} value the invalid value
+   * @param {String} expected what the value should be
+   */
+  constructor(key, value, expected) {
+    super('Invalid value "' + value + '" of "' + key + '". It must be ' + expected, key);
+    this.value = value;
+  }
+}
+
+module.exports = {SearchError, UnknownAttributeError, UnknownAssociationError, InvalidOperatorError, InvalidWeightError, InvalidValueError};
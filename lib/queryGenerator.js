@@ -1,7 +1,7 @@
 'use strict';
 
-let Sequelize = require('sequelize');
-let Util = require('../util');
+let SequelizeAdapter = require('./sequelizeAdapter');
+let TSQueryParser = require('./tsQueryParser');
 
 class Fn {
   constructor(fn, args) {
@@ -10,16 +10,79 @@ class Fn {
     return this;
   }
 
-  build() {
-    return this.fn + '(' + this.args.join(', ') + ')';
+  /**
+   * Builds the function call. Nested functions are built recursively and bind parameters are replaced by their placeholders.
+   * @param {QueryGenerator} [queryGenerator] the query generator that collects the bind parameters' values
+   * @return {string} the function call
+   */
+  build(queryGenerator) {
+    return this.fn + '(' + this.buildArgs(queryGenerator).join(', ') + ')';
+  }
+
+  /**
+   * Builds the arguments of the function call
+   * @param {QueryGenerator} [queryGenerator] the query generator that collects the bind parameters' values
+   * @return {Array<string>} the arguments
+   */
+  buildArgs(queryGenerator) {
+    return this.args.map(arg => {
+      if (arg instanceof Fn) return arg.build(queryGenerator);
+      if (arg instanceof Bind) return queryGenerator.param(arg);
+      return arg;
+    });
+  }
+}
+
+class Operation extends Fn {
+  /**
+   * An operator applied to operands, such as a multiplication. It's built the same way as a function call, but the operator is put between the operands.
+   * Ex. new Operation('*', 'a', 'b') builds (a * b)
+   * @param {String} operator the operator
+   * @param {...(Fn|Bind|String)} operands the operands
+   */
+  constructor(operator, ...operands) {
+    super(operator, ...operands);
+  }
+
+  build(queryGenerator) {
+    return '(' + this.buildArgs(queryGenerator).join(' ' + this.fn + ' ') + ')';
+  }
+}
+
+class Bind {
+  /**
+   * A value that is passed to Postgres as a bind parameter instead of being concatenated into the query string.
+   * @param {*} value the value to bind
+   */
+  constructor(value) {
+    this.value = value;
   }
 }
 
+const RANK_FUNCTIONS = ['ts_rank', 'ts_rank_cd'];
+
+// The functions applied to the values of the boosts' attributes. They're the same as Elasticsearch's field_value_factor modifiers.
+const BOOST_MODIFIERS = {
+  none: value => value,
+  log: value => new Fn('log', value),
+  log1p: value => new Fn('log', new Operation('+', '1', value)),
+  log2p: value => new Fn('log', new Operation('+', '2', value)),
+  ln: value => new Fn('ln', value),
+  ln1p: value => new Fn('ln', new Operation('+', '1', value)),
+  ln2p: value => new Fn('ln', new Operation('+', '2', value)),
+  sqrt: value => new Fn('sqrt', value),
+  square: value => new Fn('power', value, '2'),
+  reciprocal: value => new Operation('/', '1.0', value)
+};
+
+const HEADLINE_OPTIONS = ['startSel', 'stopSel', 'maxWords', 'minWords', 'shortWord', 'highlightAll', 'maxFragments', 'fragmentDelimiter'];
+
 class QueryGenerator {
   /**
    * Initializes the query instance variable
+   * @param {QueryGenerator} [parent] the query that this query is a subquery of. The parent collects the bind parameters of both so that their placeholders don't clash.
    */
-  constructor() {
+  constructor(parent) {
     this.query = {
       create: '',
       select: [],
@@ -31,6 +94,22 @@ class QueryGenerator {
       limit: -1,
       offset: 0
     };
+    this.bind = parent ? parent.bind : [];
+    this.params = parent ? parent.params : new Map();
+  }
+
+  /**
+   * Adds a value to the bind parameters of the query. Binding the same Bind instance more than once reuses its placeholder.
+   * @param {Bind|*} value the value to bind
+   * @return {string} the placeholder of the bind parameter. Ex. $1
+   */
+  param(value) {
+    if (!(value instanceof Bind)) value = new Bind(value);
+    if (!this.params.has(value)) {
+      this.bind.push(value.value);
+      this.params.set(value, '$' + this.bind.length);
+    }
+    return this.params.get(value);
   }
 
   /**
@@ -48,22 +127,28 @@ class QueryGenerator {
    * @param {Object} fields the fields or values to add to the select query
    * @param {Object} [fields.model] the model this field belongs to
    * @param {Object} [fields.as] the alias to select the field as
-   * @param {Object} [fields.raw] raw query to select
+   * @param {String|Fn} [fields.raw] raw query or function to select
    * @return {QueryGenerator} queryGenerator
    */
   select(fields) {
-    Object.keys(fields).forEach(key => this.query.select.push(
-      fields[key].raw ? fields[key].raw + ' AS "' + fields[key].as + '"' : QueryGenerator.col(key, fields[key].model, fields[key].as))
-    );
+    Object.keys(fields).forEach(key => {
+      let raw = fields[key].raw instanceof Fn ? fields[key].raw.build(this) : fields[key].raw;
+      this.query.select.push(raw ? raw + ' AS ' + QueryGenerator.identifier(fields[key].as) : QueryGenerator.col(key, fields[key].model, fields[key].as));
+    });
     return this;
   }
 
   /**
    * The model to select from
-   * @param {Object} model
+   * @param {Object|String|QueryGenerator|Array<QueryGenerator>} model the model or table name, or a subquery, or subqueries to select the UNION ALL of.
+   * @param {String} [as] the alias of the subquery
    * @return {QueryGenerator} queryGenerator
    */
-  from(model) {
+  from(model, as) {
+    if (model instanceof QueryGenerator || Array.isArray(model)) {
+      this.query.from = '(' + [].concat(model).map(subquery => subquery.getSubquery()).join(' UNION ALL ') + ') AS ' + QueryGenerator.identifier(as);
+      return this;
+    }
     this.model = model;
     this.query.from = QueryGenerator.table(model);
     return this;
@@ -89,29 +174,139 @@ class QueryGenerator {
    * Adds the where claus of the query
    * @param {Object} attributes attributes, their values, and the operator
    * @param {Object} [attributes.model=this.model] the attribute model
-   * @param {Object} attributes.operator the comparison operator
-   * @param {Object} attributes.value the value to match against
+   * @param {String} [attributes.field] the field name, if the attribute isn't defined in the model
+   * @param {Object} attributes.operator the comparison operator. Besides the comparison operators, it can be `like`, `not like`, `ilike`, `not ilike`, `contains`, `not contains`, `in`, `not in`, `between`, `not between`, `is null`, `is not null`, `is true`, `is not true`, `is false`, or `is not false`.
+   * The values of `like` are patterns, in which % and _ are wildcards. The values of `ilike` are wrapped in % unless `pattern` is true. `contains` matches the attributes that contain the value, ignoring case, with its % and _ matched literally.
+   * @param {Object} attributes.value the value to match against. It's an array for `in` and `not in`, an array of the lower and upper bounds for `between` and `not between`, and it's ignored for `is null`, `is true`, `is false`, and their negations.
+   * @param {Boolean} [attributes.pattern] if true, the value of `ilike` and `not ilike` is matched as it is, as a pattern, instead of being wrapped in %.
+   * @param {Array<Object>} [attributes.$and] the attributes that must all match. An attribute's value can be an object of `$and` or `$or` as well, whose filters are all on that attribute. Ex. {rating: {$or: [{operator: "<", value: 3}, {operator: ">", value: 8}]}}
+   * @param {Array<Object>} [attributes.$or] the attributes of which at least one must match. Ex. {$or: [{rating: {operator: ">=", value: 8}}, {awards: {operator: ">", value: 0}}]}
+   * @param {Object} [attributes.$not] the attributes that must not match
    * @return {QueryGenerator} queryGenerator
    */
   where(attributes) {
+    this.query.where.push(...this.conditions(attributes));
+    return this;
+  }
+
+  /**
+   * Builds the conditions of the where claus, which are ANDed together. @see {@link QueryGenerator#where} for the attributes.
+   * @param {Object} attributes attributes, their values, and the operator
+   * @return {Array<String>} the conditions
+   */
+  conditions(attributes) {
+    let conditions = [];
     Object.keys(attributes).forEach(key => {
-      let model = !Util.isEmptyObject(attributes[key].model) ? attributes[key].model : this.model;
-      let operator = attributes[key].operator;
-      let field = QueryGenerator.col(model.attributes[key].field, model);
-      let value = attributes[key].value;
-
-      if (operator === 'ilike') {
-        operator = 'ILIKE';
-        // If the operator is ILIKE and the field type is not String, Char, or Text, cast it to Text.
-        if ([Sequelize.STRING, Sequelize.CHAR, Sequelize.TEXT].every(type => !(model.attributes[key].type instanceof type)))
-          field = QueryGenerator.cast(field);
+      if (key === '$and' || key === '$or') {
+        conditions.push(QueryGenerator.join(attributes[key].map(group => QueryGenerator.join(this.conditions(group), 'AND')), key === '$and' ? 'AND' : 'OR'));
+      } else if (key === '$not') {
+        let negated = this.conditions(attributes[key]);
+        conditions.push(negated.length > 0 ? 'NOT (' + negated.join(' AND ') + ')' : 'FALSE');
+      } else {
+        conditions.push(this.condition(key, attributes[key]));
+      }
+    });
+    return conditions;
+  }
+
+  /**
+   * Builds the condition of an attribute. @see {@link QueryGenerator#where}
+   * @param {String} key the attribute
+   * @param {Object} attribute the value, the operator, and the model of the attribute, or `$and` or `$or` of several of them
+   * @return {String} the condition
+   */
+  condition(key, attribute) {
+    if (attribute.$and || attribute.$or) {
+      let filters = attribute.$and || attribute.$or;
+      return QueryGenerator.join(filters.map(filter => this.condition(key, filter)), attribute.$and ? 'AND' : 'OR');
+    }
+
+    let model = attribute.model || this.model;
+    let operator = attribute.operator;
+    let field = QueryGenerator.col(attribute.field || SequelizeAdapter.attributes(model)[key].field, model);
+    let value = attribute.value;
+
+    if (/^is (not )?(null|true|false)$/.test(operator)) return field + ' ' + operator.toUpperCase();
+
+    if (['like', 'not like', 'ilike', 'not ilike', 'contains', 'not contains'].indexOf(operator) >= 0) {
+      // If the operator is LIKE or ILIKE and the field type is not String, Char, or Text, cast it to Text.
+      if (!SequelizeAdapter.isTextAttribute(SequelizeAdapter.attributes(model)[key]))
+        field = QueryGenerator.cast(field);
+      // CONTAINS is ILIKE the value, with its wildcards escaped, between wildcards
+      if (operator === 'contains' || operator === 'not contains') {
+        value = '%' + String(value).replace(/[\\%_]/g, '\\$&') + '%';
+        operator = operator === 'contains' ? 'ilike' : 'not ilike';
+      } else if ((operator === 'ilike' || operator === 'not ilike') && !attribute.pattern) {
         value = '%' + value + '%';
       }
+      operator = operator.toUpperCase();
+    }
+
+    if (operator === 'in' || operator === 'not in') {
+      value = [].concat(value);
+      // An empty list matches no rows, or all of them if negated
+      if (value.length < 1) return operator === 'in' ? 'FALSE' : 'TRUE';
+      return field + ' ' + operator.toUpperCase() + ' (' + value.map(item => this.param(item)).join(', ') + ')';
+    }
 
-      value = value instanceof Fn ? value.build() : '\'' + value + '\'';
+    if (operator === 'between' || operator === 'not between')
+      return field + ' ' + operator.toUpperCase() + ' ' + this.param(value[0]) + ' AND ' + this.param(value[1]);
 
-      this.query.where.push(field + ' ' + operator + ' ' + value);
+    value = value instanceof Fn ? value.build(this) : this.param(value);
+
+    return field + ' ' + operator + ' ' + value;
+  }
+
+  /**
+   * Joins conditions with AND or OR, in parentheses if there's more than one of them.
+   * No conditions are TRUE if they're ANDed, since none of them fail, or FALSE if they're ORed, since none of them match.
+   * @param {Array<String>} conditions the conditions
+   * @param {String} operator AND or OR
+   * @return {String} the joined conditions
+   */
+  static join(conditions, operator) {
+    if (conditions.length < 1) return operator === 'AND' ? 'TRUE' : 'FALSE';
+    return conditions.length > 1 ? '(' + conditions.join(' ' + operator + ' ') + ')' : conditions[0];
+  }
+
+  /**
+   * Adds a keyset pagination condition to the where claus, which selects the rows that come after the given values of the order by keys.
+   * A null value is considered larger than any other value, which is how Postgres orders them by default.
+   * @param {Array<Array>} fields the fields and direction to order by. @see {@link QueryGenerator#orderBy}
+   * @param {Array} values the values of the fields to select the rows after
+   * @return {QueryGenerator} queryGenerator
+   */
+  after(fields, values) {
+    let build = field => field instanceof Fn ? field.build(this) : field;
+    values = values.map(value => new Bind(value));
+
+    // A row comes after the values if its first n - 1 fields are equal to the values and its nth field comes after the nth value
+    let conditions = [];
+    fields.forEach((field, i) => {
+      let equal = fields.slice(0, i).map((previous, j) =>
+        build(previous[0]) + (values[j].value === null ? ' IS NULL' : ' = ' + this.param(values[j])));
+      let next;
+      if (field[1] === 'DESC') next = values[i].value === null ? build(field[0]) + ' IS NOT NULL' : build(field[0]) + ' < ' + this.param(values[i]);
+      else if (values[i].value !== null) next = '(' + build(field[0]) + ' > ' + this.param(values[i]) + ' OR ' + build(field[0]) + ' IS NULL)';
+      if (next) conditions.push('(' + equal.concat(next).join(' AND ') + ')');
     });
+
+    this.query.where.push(conditions.length > 0 ? '(' + conditions.join(' OR ') + ')' : 'FALSE');
+    return this;
+  }
+
+  /**
+   * Adds a trigram similarity condition to the where claus, which selects the rows that have any of the fields similar to the text.
+   * The condition uses pg_trgm's `%` operator so that it can use trigram indexes. @see {@link QueryInterface#createTrigramIndexes}
+   * @param {Array<String>} fields the fields to compare the text to
+   * @param {Bind} text the text to compare. @see {@link QueryGenerator.bind}
+   * @param {Number} [threshold] the minimum similarity of the rows. It can only narrow down the rows matched by the `%` operator, which uses the `pg_trgm.similarity_threshold` setting.
+   * @return {QueryGenerator} queryGenerator
+   */
+  similar(fields, text, threshold) {
+    let condition = '(' + fields.map(field => field + ' % ' + this.param(text)).join(' OR ') + ')';
+    if (threshold !== undefined) condition += ' AND ' + QueryGenerator.similarity(fields, text).build(this) + ' >= ' + this.param(threshold);
+    this.query.where.push(condition);
     return this;
   }
 
@@ -133,7 +328,7 @@ class QueryGenerator {
    */
   orderBy(fields) {
     fields.forEach(field => this.query.orderBy.push(
-      field[0] instanceof Fn ? field[0].build() + ' ' + field[1] : field[0] + ' ' + field[1]));
+      field[0] instanceof Fn ? field[0].build(this) + ' ' + field[1] : field[0] + ' ' + field[1]));
     return this;
   }
 
@@ -143,7 +338,7 @@ class QueryGenerator {
    * @return {QueryGenerator} queryGenerator
    */
   limit(max) {
-    this.query.limit = max;
+    this.query.limit = parseInt(max, 10);
     return this;
   }
 
@@ -153,7 +348,7 @@ class QueryGenerator {
    * @return {QueryGenerator}
    */
   offset(val) {
-    this.query.offset = val;
+    this.query.offset = parseInt(val, 10);
     return this;
   }
 
@@ -217,6 +412,10 @@ class QueryGenerator {
     return this.query.limit >= 0 ? 'LIMIT ' + this.query.limit : '';
   }
 
+  /**
+   * Gets the OFFSET claus
+   * @return {string} OFFSET claus
+   */
   getOffset() {
     return this.query.offset > 0 ? 'OFFSET ' + this.query.offset : '';
   }
@@ -234,8 +433,24 @@ class QueryGenerator {
    * @return {string} query
    */
   getQuery() {
-    return this.getCreate() + ' ' + this.getSelect() + ' ' + this.getFrom() + ' ' + this.getJoin() + ' ' +
-      this.getWhere() + ' ' + this.getGroupBy() + ' ' + this.getOrderBy() + ' ' + this.getLimit() + this.getOffset() + ';';
+    return this.getSubquery() + ';';
+  }
+
+  /**
+   * Gets the query string without the semicolon at its end, so that it can be a part of another query
+   * @return {string} query
+   */
+  getSubquery() {
+    return [this.getCreate(), this.getSelect(), this.getFrom(), this.getJoin(), this.getWhere(), this.getGroupBy(), this.getOrderBy(),
+      this.getLimit(), this.getOffset()].filter(clause => clause).join(' ');
+  }
+
+  /**
+   * Gets the values of the bind parameters in the order of their placeholders
+   * @return {Array} bind parameters
+   */
+  getBind() {
+    return this.bind;
   }
 
   // ------------------
@@ -244,10 +459,81 @@ class QueryGenerator {
 
   /**
    * Refreshes the materialized view
-   * @param {Object|String} model the materialized view's model or the materialized view's name
+   * @param {Object|String} model the materialized view's model, or its name if options.sequelize is passed
+   * @param {Object} [options]
+   * @param {Object} [options.sequelize] the sequelize instance to run the refresh with. Defaults to the model's
+   * @param {Boolean} [options.concurrently] if true, the materialized view is refreshed without locking out concurrent selects on it. The materialized view must have a unique index on column names only and no WHERE clause.
+   * @param {Boolean} [options.withData=true] if false, the materialized view's data is discarded and it can't be queried until it's refreshed again. Can't be used with concurrently.
+   * @param {Object} [options.transaction] the transaction to run the refresh in
+   * @param {Function|Boolean} [options.logging] the logging option passed to sequelize.query
+   * @return {Promise}
+   */
+  static refreshMaterializedView(model, options = {}) {
+    let sequelize = options.sequelize || model.sequelize;
+    let queryOptions = {transaction: options.transaction};
+    if (options.logging !== undefined) queryOptions.logging = options.logging;
+    let withData = options.withData !== false;
+
+    if (options.concurrently && !withData)
+      return Promise.reject(new Error('A materialized view cannot be refreshed concurrently WITH NO DATA'));
+
+    let query = 'REFRESH MATERIALIZED VIEW ' + (options.concurrently ? 'CONCURRENTLY ' : '') + QueryGenerator.table(model) +
+      (withData ? '' : ' WITH NO DATA') + ';';
+    if (!options.concurrently) return sequelize.query(query, queryOptions);
+
+    // Postgres only refreshes concurrently if there's a unique index that covers all the rows and only uses column names
+    let uniqueIndexQuery = 'SELECT 1 FROM pg_index WHERE indrelid = $1::regclass AND indisunique AND indpred IS NULL AND indexprs IS NULL LIMIT 1;';
+    return sequelize.query(uniqueIndexQuery, Object.assign({type: sequelize.QueryTypes.SELECT, bind: [QueryGenerator.table(model)]}, queryOptions))
+      .then(indexes => {
+        if (indexes.length < 1)
+          throw new Error(`Cannot refresh materialized view ${QueryGenerator.table(model)} concurrently because it has no unique index on its columns. Create one with the uniqueIndex option of QueryInterface.createMaterializedView`);
+        return sequelize.query(query, queryOptions);
+      });
+  }
+
+  /**
+   * Finds the lexemes of the documents that are the most similar to the words, using pg_trgm.
+   * They're looked up in the vocabulary of the documents, whose trigram index makes it fast, rather than counted from the documents on every search. @see {@link QueryInterface#createVocabulary}
+   * The most frequent lexeme is picked among equally similar ones.
+   * @param {Object} model the model the vocabulary was created for
+   * @param {String} vocabulary the name of the vocabulary
+   * @param {Array<String>} words the words to find the most similar lexemes to
+   * @return {Promise<Object>} the most similar lexeme of each word, or null if no lexeme is similar enough. Ex. {incepshun: "incept"}
+   */
+  static similarLexemes(model, vocabulary, words) {
+    let query = 'SELECT "term", (SELECT "word" FROM ' + QueryGenerator.table(vocabulary) + ' WHERE "field" = \'\' AND "word" % "term" ' +
+      'ORDER BY similarity("word", "term") DESC, "ndoc" DESC LIMIT 1) AS "lexeme" FROM unnest($1::TEXT[]) AS "terms" ("term");';
+    return model.sequelize.query(query, {type: model.sequelize.QueryTypes.SELECT, bind: [words]}).then(rows => {
+      let lexemes = {};
+      rows.forEach(row => lexemes[row.term] = row.lexeme);
+      return lexemes;
+    });
+  }
+
+  /**
+   * Builds the CREATE INDEX query
+   * @param {String} indexName the name of the index
+   * @param {Object|String} model the model or the table name to create the index on
+   * @param {Array<String>} fields the fields to index
+   * @param {Object} [options]
+   * @param {Boolean} [options.unique] if true, a unique index is created
+   * @param {String} [options.using] the index method. Ex. GIN
+   * @param {String} [options.operatorClass] the operator class of the fields. Ex. gin_trgm_ops
+   * @return {String} the CREATE INDEX query
    */
-  static refreshMaterializedView(model) {
-    return model.sequelize.query('REFRESH MATERIALIZED VIEW ' + QueryGenerator.table(model));
+  static createIndex(indexName, model, fields, options = {}) {
+    return 'CREATE ' + (options.unique ? 'UNIQUE ' : '') + 'INDEX ' + QueryGenerator.identifier(indexName) +
+      ' ON ' + QueryGenerator.table(model) + (options.using ? ' USING ' + options.using : '') +
+      ' (' + fields.map(field => QueryGenerator.col(field) + (options.operatorClass ? ' ' + options.operatorClass : '')).join(', ') + ');';
+  }
+
+  /**
+   * Wraps a value to be passed as a bind parameter. Using the wrapped value more than once in a query binds it once.
+   * @param {*} value the value to bind
+   * @return {Bind}
+   */
+  static bind(value) {
+    return new Bind(value);
   }
 
   /**
@@ -257,35 +543,143 @@ class QueryGenerator {
    * @return {Fn}
    */
   static setWeight(field, weight) {
-    return new Fn('setweight', field, '\'' + weight + '\'');
+    return new Fn('setweight', field, QueryGenerator.literal(weight));
   }
 
   /**
    * Postgres to_tsvector function. Converts the string/text to a tsvector
    * @param {String} field the field to set the weight of
+   * @param {String} [config] the text search configuration to use. Ex. "french". Defaults to the server's `default_text_search_config`.
    * @return {Fn}
    */
-  static toTSVector(field) {
-    return new Fn('to_tsvector', field);
+  static toTSVector(field, config) {
+    return config ? new Fn('to_tsvector', QueryGenerator.literal(config), field) : new Fn('to_tsvector', field);
   }
 
   /**
-   * Postgres to_tsquery function. Converts string/text to a tsquery
+   * Postgres to_tsquery function. Converts a search query to a tsquery.
+   * The search query is parsed by {@link TSQueryParser} and the resulting tsquery text is passed as a bind parameter.
+   * If multiple text search configurations are passed, the query is converted using each one of them and the resulting tsqueries are ORed.
    * @param {String} query the query to convert to tsquery
-   * @return {Fn}
+   * @param {String|Array<String>} [config] the text search configuration(s) to use. Defaults to the server's `default_text_search_config`.
+   * @param {Object} [labels] the weight labels that restrict the words to the weights of fields. @see {@link TSQueryParser.parse}
+   * @return {Fn|null} the to_tsquery function or null if the query has no words to search for
    */
-  static toTSQuery(query) {
-    return new Fn('to_tsquery', '\'' + query.replace(/ /g, ' & ') + ':*\'');
+  static toTSQuery(query, config, labels) {
+    let tsQuery = TSQueryParser.parse(query, labels);
+    if (!tsQuery) return null;
+    tsQuery = new Bind(tsQuery);
+    let configs = [].concat(config || []);
+    if (configs.length < 1) return new Fn('to_tsquery', tsQuery);
+    return configs
+      .map(config => new Fn('to_tsquery', new Bind(config), tsQuery))
+      .reduce((tsQueries, tsQuery) => new Fn('tsquery_or', tsQueries, tsQuery));
   }
 
   /**
-   * Postgres ts_rank function. Ranks how close a tsquery matches a tsvector
+   * Postgres ts_rank or ts_rank_cd function. Ranks how close a tsquery matches a tsvector
    * @param {String} tsVector the tsvector field
    * @param {String} tsQuery the tsquery
+   * @param {Object} [options]
+   * @param {String} [options.function="ts_rank"] "ts_rank" or "ts_rank_cd", which ranks the documents by how close the matching words are to each other.
+   * @param {Array<Number>} [options.weights] the weights of the D, C, B, and A labeled words, in that order. Defaults to Postgres' {0.1, 0.2, 0.4, 1.0}
+   * @param {Number} [options.normalization] the bit mask of how the document's length affects its rank. Ex. 1 divides the rank by 1 + the logarithm of the length.
    * @return {Fn}
    */
-  static tsRank(tsVector, tsQuery) {
-    return new Fn('ts_rank', tsVector, tsQuery.build());
+  static tsRank(tsVector, tsQuery, options = {}) {
+    let args = [tsVector, tsQuery];
+    if (options.weights) args.unshift(QueryGenerator.cast(QueryGenerator.literal('{' + options.weights.map(Number).join(',') + '}'), 'float4[]'));
+    if (options.normalization !== undefined) args.push(String(parseInt(options.normalization, 10)));
+    return new Fn(options.function === 'ts_rank_cd' ? 'ts_rank_cd' : 'ts_rank', ...args);
+  }
+
+  /**
+   * Gets the multiplicative boost of a rank from the value of a field. It's either a function of the value or a decay of how far the value is from an origin.
+   * @param {String} field the field to get the value of
+   * @param {Object} boost
+   * @param {String} [boost.modifier="none"] the function of the value. One of none, log, log1p, log2p, ln, ln1p, ln2p, sqrt, square, or reciprocal. Ex. log1p is log(1 + factor * value)
+   * @param {Number} [boost.factor=1] the number to multiply the value by before applying the modifier
+   * @param {Number} [boost.missing=1] the value of the rows that don't have one
+   * @param {Number} [boost.decay] if passed, the boost decays exponentially from 1 at the origin to this number at the scale's distance from it. Ex. 0.5. The rows that don't have a value aren't decayed.
+   * @param {Number|String} [boost.scale] the distance from the origin at which the boost is the decay. It's an interval for dates. Ex. "365 days"
+   * @param {Number|String} [boost.origin] the value with the highest boost. Defaults to now for dates.
+   * @return {Fn}
+   */
+  static boost(field, boost) {
+    if (boost.decay === undefined) {
+      let value = new Fn('coalesce', field, String(boost.missing !== undefined ? Number(boost.missing) : 1));
+      if (boost.factor !== undefined) value = new Operation('*', String(Number(boost.factor)), value);
+      return BOOST_MODIFIERS[boost.modifier || 'none'](value);
+    }
+
+    // The boost is decay ^ (distance / scale)
+    let distance, scale;
+    if (typeof boost.scale === 'number') {
+      let origin = String(Number(boost.origin || 0));
+      distance = new Fn('abs', new Operation('-', new Fn('coalesce', field, origin), origin));
+      // The distance is divided as a double precision so that integer fields aren't divided using integer division
+      scale = QueryGenerator.cast(String(Number(boost.scale)), 'float8');
+    } else {
+      let origin = boost.origin !== undefined ? new Operation('::', new Bind(boost.origin), 'timestamptz') : new Fn('now');
+      distance = new Fn('abs', new Fn('date_part', QueryGenerator.literal('epoch'), new Operation('-', new Fn('coalesce', field, origin), origin)));
+      scale = new Fn('date_part', QueryGenerator.literal('epoch'), new Operation('::', new Bind(boost.scale), 'interval'));
+    }
+    return new Fn('power', String(Number(boost.decay)), new Operation('/', distance, scale));
+  }
+
+  /**
+   * Multiplies the factors
+   * @param {...(Fn|String)} factors the factors
+   * @return {Fn} the product, or the only factor if there's one
+   */
+  static multiply(...factors) {
+    return factors.length > 1 ? new Operation('*', ...factors) : factors[0];
+  }
+
+  /**
+   * pg_trgm similarity function. Gets how similar the text is to the most similar field, from 0 to 1.
+   * @param {Array<String>} fields the fields to compare the text to
+   * @param {Bind} text the text to compare. @see {@link QueryGenerator.bind}
+   * @return {Fn}
+   */
+  static similarity(fields, text) {
+    let similarities = fields.map(field => new Fn('similarity', field, text));
+    return similarities.length > 1 ? new Fn('GREATEST', ...similarities) : similarities[0];
+  }
+
+  /**
+   * Postgres float8 function. Casts a number to double precision.
+   * @param {Fn|String} value the number to cast
+   * @return {Fn}
+   */
+  static toFloat8(value) {
+    return new Fn('float8', value);
+  }
+
+  /**
+   * Postgres ts_headline function. Returns an excerpt of the field with the words matching the tsquery highlighted.
+   * @param {String} field the field to highlight
+   * @param {Fn} tsQuery the tsquery
+   * @param {Object} [options] the ts_headline options. Ex. {startSel: '<b>', stopSel: '</b>', maxWords: 35}
+   * @param {String} [options.startSel] the string to insert before the highlighted words
+   * @param {String} [options.stopSel] the string to insert after the highlighted words
+   * @param {Number} [options.maxWords] the longest headline to output
+   * @param {Number} [options.minWords] the shortest headline to output
+   * @param {Number} [options.shortWord] words of this length or less are dropped at the start and end of the headline
+   * @param {Boolean} [options.highlightAll] if true, the whole field is used as the headline
+   * @param {Number} [options.maxFragments] the maximum number of text fragments to display
+   * @param {String} [options.fragmentDelimiter] the string to delimit the fragments with
+   * @param {String} [config] the text search configuration to parse the field with
+   * @return {Fn}
+   */
+  static tsHeadline(field, tsQuery, options, config) {
+    let args = [field, tsQuery];
+    let headlineOptions = Object.keys(options || {})
+      .filter(key => HEADLINE_OPTIONS.indexOf(key) > -1 && options[key] !== undefined)
+      .map(key => key.charAt(0).toUpperCase() + key.substring(1) + '="' + String(options[key]).replace(/"/g, '""') + '"');
+    if (headlineOptions.length > 0) args.push(new Bind(headlineOptions.join(', ')));
+    if (config) args.unshift(new Bind(config));
+    return new Fn('ts_headline', ...args);
   }
 
   /**
@@ -295,7 +689,7 @@ class QueryGenerator {
    * @return {Fn}
    */
   static coalesce(field, fallback = '') {
-    return new Fn('coalesce', field, '\'' + fallback + '\'');
+    return new Fn('coalesce', field, QueryGenerator.literal(fallback));
   }
 
   /**
@@ -305,7 +699,7 @@ class QueryGenerator {
    * @return {Fn}
    */
   static stringAggregate(field, separator = ', ') {
-    return new Fn('string_agg', field, '\'' + separator + '\'');
+    return new Fn('string_agg', field, QueryGenerator.literal(separator));
   }
 
   /**
@@ -326,7 +720,7 @@ class QueryGenerator {
    * @return {String} the column
    */
   static col(field, model, as = '') {
-    return `${model ? QueryGenerator.table(model) + '.' : ''}"${field}"${as ? ' AS "' + as + '"': ''}`;
+    return `${model ? QueryGenerator.table(model) + '.' : ''}${QueryGenerator.identifier(field)}${as ? ' AS ' + QueryGenerator.identifier(as) : ''}`;
   }
 
   /**
@@ -335,8 +729,29 @@ class QueryGenerator {
    * @return {String} the table name
    */
   static table(model) {
-    return `"${typeof model === 'string' ? model : model.tableName}"`;
+    return QueryGenerator.identifier(typeof model === 'string' ? model : model.tableName);
+  }
+
+  /**
+   * Quotes an identifier (table, column, or alias name) and escapes the double quotes in it.
+   * @param {String} name the identifier to quote
+   * @return {String} the quoted identifier
+   */
+  static identifier(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+  }
+
+  /**
+   * Quotes a string literal and escapes the single quotes in it.
+   * @param {String} value the value to quote
+   * @return {String} the quoted literal
+   */
+  static literal(value) {
+    return '\'' + String(value).replace(/'/g, '\'\'') + '\'';
   }
 }
 
+QueryGenerator.RANK_FUNCTIONS = RANK_FUNCTIONS;
+QueryGenerator.BOOST_MODIFIERS = Object.keys(BOOST_MODIFIERS);
+
 module.exports = QueryGenerator;
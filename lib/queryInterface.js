@@ -1,8 +1,16 @@
 'use strict';
 
-let Sequelize = require('sequelize');
 let QueryGenerator = require('./queryGenerator');
+let SearchModel = require('./searchModel');
+let SequelizeAdapter = require('./sequelizeAdapter');
 let Util = require('../util');
+let {UnknownAttributeError, UnknownAssociationError, InvalidWeightError} = require('./errors');
+
+// The association types of the includes by the associationType of Sequelize's associations
+const ASSOCIATION_TYPES = {BelongsTo: 'belongsTo', HasOne: 'hasOne', HasMany: 'hasMany', BelongsToMany: 'belongsToMany'};
+
+// The weights setweight accepts, from the highest to the lowest
+const WEIGHTS = ['A', 'B', 'C', 'D'];
 
 class QueryInterface {
 
@@ -15,42 +23,377 @@ class QueryInterface {
    * @param {string} materializedViewName The materialized view's name
    * @param {Object} model The model of the table to create the materialized view for.
    * @param {Object} attributes key-value pair with the key being the field's name and the value the weight of the field. Ex. {name: "A", description: "B", city: "C"}
+   * The value can also be an object with the weight and the text search configuration of the field. Ex. {name: {weight: "A", config: "french"}}
    * @param {Object} [options]
+   * @param {string} [options.config] the text search configuration to convert the attributes to tsvector with. Ex. "french". Defaults to the server's `default_text_search_config`.
    * @param {string} [options.tableName] override the `tableName` of the passed model
    * @param {string} [options.primaryKeyField] override the `primaryKeyField` of the passed model
+   * @param {string|boolean} [options.documentIndex] the name of the GIN index created on the document field, or false to not create it. Defaults to "{materializedViewName}_document_idx"
+   * @param {string|boolean} [options.uniqueIndex] the name of the unique index created on the primary key field, or false to not create it. Defaults to "{materializedViewName}_{primaryKeyField}_key"
    * @param {Array<Object>|Object} [options.include] associated models' attributes to include in the materialized view's document.
+   * The keys and association type of an include, and the alias of an include with an association option, are taken from the parent model's association, unless they're set. @see {@link QueryInterface.resolveIncludes}
+   * @param {string|Object} [options.include.association] the name (alias) of the parent model's association to include, or the association itself
    * @param {Object} [options.include.model] the model to include
-   * @param {string} [options.include.foreignKey] The foreignKey that points to the associated model. Note that based on the association type, the foreign key could be on the reference model or on the other model.
+   * @param {string} [options.include.foreignKey] The foreignKey that points to the associated model. Note that based on the association type, the foreign key could be on the reference model, on the other model, or on the through model.
    * @param {string} [options.include.targetKey] The key that the foreignKey references.
-   * @param {string} [options.include.associationType] The association type from the parent model's perspective. It must be `hasOne`, `hasMany`, or `belongsTo`.
+   * @param {string} [options.include.associationType] The association type from the parent model's perspective. It must be `hasOne`, `hasMany`, `belongsTo`, or `belongsToMany`.
+   * @param {Object} [options.include.through] The model of the join table of a `belongsToMany` association. Its foreignKey references the parent's targetKey.
+   * @param {string} [options.include.otherKey] The key of the through model that references the primary key of the included model in a `belongsToMany` association.
    * @param {Object} [options.include.attributes] The attributes to include from the model and their weights.
+   * @param {string} [options.include.config] The text search configuration of the included model's attributes. Defaults to the parent's config.
    * @param {Object} [options.include.include] models associated to the included model.
+   * @param {Boolean} [options.dryRun] if true, the queries that create the materialized view and its indexes are returned instead of being run. The models are still described to build the document.
+   * @return {Promise} resolves with the queries if it's a dry run. It rejects with an UnknownAttributeError if an attribute isn't a field of its model's table, an InvalidWeightError if a weight isn't A, B, C, or D,
+   * or an UnknownAssociationError if an include isn't an association of its parent model and doesn't set its keys, before the materialized view is created.
    */
   createMaterializedView(materializedViewName, model, attributes, options) {
-    options = options || {};
+    options = Object.assign({}, options);
     options.tableName = options.tableName || model.tableName;
     let primaryKeyField = options.primaryKeyField || model.primaryKeyField;
     this.document = [];
+    this.weights = {};
     this.query = new QueryGenerator()
       .createMaterializedView(materializedViewName)
       .from(model)
       .groupBy(primaryKeyField, model);
-    return this.buildDocument(model, attributes, options).then(() => {
+    return Promise.resolve().then(() => {
+      options.include = QueryInterface.resolveIncludes(model, options.include);
+      return this.buildDocument(model, attributes, options);
+    }).then(() => {
       let fields = {
         document: {raw: this.document.join(' || '), as: 'document'}
       };
       fields[primaryKeyField] = {model: options};
+      let queries = [this.query.select(fields).getQuery(), QueryInterface.commentWeights(materializedViewName, 'document', this.weights)];
 
-      return this.queryInterface.sequelize.query(this.query.select(fields).getQuery())
+      // The GIN index makes the document searchable without a sequential scan, and the unique index on the primary key allows refreshing the view concurrently.
+      if (options.documentIndex !== false)
+        queries.push(QueryGenerator.createIndex(options.documentIndex || materializedViewName + '_document_idx',
+          materializedViewName, ['document'], {using: 'GIN'}));
+      if (options.uniqueIndex !== false)
+        queries.push(QueryGenerator.createIndex(options.uniqueIndex || materializedViewName + '_' + primaryKeyField + '_key',
+          materializedViewName, [primaryKeyField], {unique: true}));
+      return this.run(queries, options);
     });
   }
 
   /**
-   * Drops the materialized view
+   * Runs the queries one after the other, or returns them without running them if it's a dry run.
+   * @param {Array<string>} queries the queries to run
+   * @param {Object} [options]
+   * @param {Boolean} [options.dryRun] if true, the queries are returned instead of being run.
+   * @return {Promise} resolves with the queries if it's a dry run
+   */
+  run(queries, options = {}) {
+    if (options.dryRun) return Promise.resolve(queries);
+    return queries.reduce((promise, query) => promise.then(() => this.queryInterface.sequelize.query(query)), Promise.resolve());
+  }
+
+  /**
+   * Drops the materialized view. Its indexes are dropped along with it.
    * @param {string} materializedViewName The materialized view's name
    */
   dropMaterializedView(materializedViewName) {
-    return this.queryInterface.sequelize.query(`DROP MATERIALIZED VIEW ${materializedViewName};`);
+    return this.queryInterface.sequelize.query(`DROP MATERIALIZED VIEW ${QueryGenerator.table(materializedViewName)};`);
+  }
+
+  /**
+   * Adds a tsvector column (the document) to the model's table and keeps it up to date with triggers, as an alternative to a materialized view that has to be refreshed.
+   * The document is built the same way as the materialized view's. @see {@link QueryInterface#createMaterializedView}
+   * The trigger on the model's table updates the document of the inserted and updated rows, and the trigger on each included model's table updates the documents its inserted, updated, and deleted rows are included in.
+   * Then the column is filled and a GIN index is created on it. To search it, construct a SearchModel out of the model itself. @see {@link SearchModel}
+   * @param {Object} model The model of the table to add the column to.
+   * @param {Object} attributes the attributes and their weights. @see {@link QueryInterface#createMaterializedView}
+   * @param {Object} [options] the options of createMaterializedView, except for documentIndex and uniqueIndex, and:
+   * @param {string} [options.column="document"] the name of the column. If it's not "document", set the `searchColumn` option of the model to it.
+   * @param {string|boolean} [options.index] the name of the GIN index created on the column, or false to not create it. Defaults to "{tableName}_{column}_idx"
+   * @param {Boolean} [options.dryRun] if true, the queries that add the column, its triggers, and its index are returned instead of being run.
+   * @return {Promise} resolves with the queries if it's a dry run. It rejects with the same errors as createMaterializedView before the column is added.
+   */
+  createSearchColumn(model, attributes, options) {
+    options = Object.assign({}, options);
+    options.tableName = options.tableName || model.tableName;
+    let column = options.column || 'document';
+    let primaryKeyField = options.primaryKeyField || model.primaryKeyField;
+    let functionName = options.tableName + '_' + column + '_update';
+    this.document = [];
+    this.weights = {};
+    this.query = new QueryGenerator()
+      .from(model)
+      .groupBy(primaryKeyField, model);
+    return Promise.resolve().then(() => {
+      options.include = QueryInterface.resolveIncludes(model, options.include);
+      return this.buildDocument(model, attributes, options);
+    }).then(() => {
+      let fields = {
+        document: {raw: this.document.join(' || '), as: 'document'}
+      };
+      fields[primaryKeyField] = {model: options};
+      this.query.select(fields);
+
+      // Updates the documents of the rows whose primary key is in the keys, or all of them if no keys are passed
+      let update = keys => 'UPDATE ' + QueryGenerator.table(options.tableName) + ' SET ' + QueryGenerator.identifier(column) + ' = "search"."document" FROM (' +
+        [this.query.getSelect(), this.query.getFrom(), this.query.getJoin(),
+          keys ? 'WHERE ' + QueryGenerator.col(primaryKeyField, options.tableName) + ' IN (' + keys + ')' : '', this.query.getGroupBy()].join(' ') +
+        ') AS "search" WHERE ' + QueryGenerator.col(primaryKeyField, options.tableName) + ' = ' + QueryGenerator.col(primaryKeyField, 'search') + ';';
+
+      let triggers = QueryInterface.getSearchTriggers(Object.assign({}, options, {attributes, primaryKeyField}));
+      let statements = triggers.map(trigger => 'IF TG_TABLE_NAME = ' + QueryGenerator.literal(trigger.tableName) + ' THEN ' +
+        'IF TG_OP <> \'DELETE\' THEN ' + update(trigger.keys('NEW')) + ' END IF; ' +
+        (trigger.isReference ? '' : 'IF TG_OP <> \'INSERT\' THEN ' + update(trigger.keys('OLD')) + ' END IF; ') +
+        'END IF;');
+
+      // A table is triggered by updates of the columns that are in the document or join it to the model's table.
+      // The model's table isn't triggered by deletes or by the updates of the column itself.
+      let tables = new Map();
+      triggers.forEach(trigger => {
+        let table = tables.get(trigger.tableName) || {columns: new Set(), isReference: true};
+        trigger.columns.forEach(field => table.columns.add(field));
+        table.isReference = table.isReference && trigger.isReference;
+        tables.set(trigger.tableName, table);
+      });
+
+      let queries = [
+        `ALTER TABLE ${QueryGenerator.table(options.tableName)} ADD COLUMN ${QueryGenerator.identifier(column)} tsvector;`,
+        QueryInterface.commentWeights(options.tableName, column, this.weights),
+        `CREATE OR REPLACE FUNCTION ${QueryGenerator.identifier(functionName)}() RETURNS trigger AS $$ BEGIN ${statements.join(' ')} RETURN NULL; END; $$ LANGUAGE plpgsql;`
+      ];
+      tables.forEach((table, tableName) => queries.push(`CREATE TRIGGER ${QueryGenerator.identifier(functionName)} ` +
+        `AFTER INSERT OR UPDATE OF ${Array.from(table.columns).map(field => QueryGenerator.identifier(field)).join(', ')}${table.isReference ? '' : ' OR DELETE'} ` +
+        `ON ${QueryGenerator.table(tableName)} FOR EACH ROW EXECUTE PROCEDURE ${QueryGenerator.identifier(functionName)}();`));
+      queries.push(update());
+      if (options.index !== false)
+        queries.push(QueryGenerator.createIndex(options.index || options.tableName + '_' + column + '_idx', options.tableName, [column], {using: 'GIN'}));
+
+      return this.run(queries, options);
+    });
+  }
+
+  /**
+   * Drops the search column created by createSearchColumn along with its triggers and index.
+   * @param {Object} model The model of the table the column was added to.
+   * @param {Object} [options]
+   * @param {string} [options.column="document"] the name of the column
+   * @param {string} [options.tableName] override the `tableName` of the passed model
+   */
+  dropSearchColumn(model, options = {}) {
+    let tableName = options.tableName || model.tableName;
+    let column = options.column || 'document';
+    return this.queryInterface.sequelize.query(`DROP FUNCTION IF EXISTS ${QueryGenerator.identifier(tableName + '_' + column + '_update')}() CASCADE;`)
+      .then(() => this.queryInterface.sequelize.query(`ALTER TABLE ${QueryGenerator.table(tableName)} DROP COLUMN IF EXISTS ${QueryGenerator.identifier(column)};`));
+  }
+
+  /**
+   * Fills in the keys, alias, and association type of the includes, and the includes of the includes, from the associations of their parent models.
+   * An include is matched to the association named by its association option, or else to the association with its model (and alias, if it has one).
+   * Only the includes with an association option take its alias. The others keep their own alias, or their table name if they have none, which their attributes' weights and field names in queries are named after. Ex. "actor.name"
+   * The values set on the include override the association's, so an include that sets all of its keys doesn't need an association.
+   * @param {Object} model the parent model of the includes
+   * @param {Array<Object>|Object} [include] the includes. @see {@link QueryInterface#createMaterializedView}
+   * @return {Array<Object>|Object} the includes with their association's values, in the same shape they were passed in
+   * @throws {UnknownAssociationError} if an include names an association the model doesn't have, or has no association and no keys
+   */
+  static resolveIncludes(model, include) {
+    if (Util.isEmptyObject(include)) return include;
+    if (Array.isArray(include)) return include.map(child => QueryInterface.resolveIncludes(model, child));
+
+    let associations = model.associations || {};
+    let association = include.association;
+    if (typeof association === 'string') {
+      if (!associations[association]) throw new UnknownAssociationError(association, model.name);
+      association = associations[association];
+    } else if (!association) {
+      association = Object.keys(associations).map(as => associations[as])
+        .find(association => association.target === include.model && (!include.as || association.as === include.as));
+    }
+    if (!association) {
+      if (!include.associationType || !include.foreignKey || !include.targetKey)
+        throw new UnknownAssociationError(include.as || (include.model && include.model.name), model.name);
+      return Object.assign({}, include, {include: QueryInterface.resolveIncludes(include.model, include.include)});
+    }
+
+    // The keys are the fields (columns) of the attributes the association is defined with
+    let field = (model, attribute) => model.rawAttributes[attribute] ? model.rawAttributes[attribute].field || attribute : attribute;
+    let source = association.source, target = association.target;
+    let resolved = {model: target, associationType: ASSOCIATION_TYPES[association.associationType]};
+    if (include.association) resolved.as = association.as;
+    if (association.associationType === 'BelongsTo') {
+      resolved.foreignKey = field(source, association.foreignKey);
+      resolved.targetKey = field(target, association.targetKey || target.primaryKeyAttribute);
+    } else if (association.associationType === 'BelongsToMany') {
+      resolved.through = association.through.model;
+      resolved.foreignKey = field(resolved.through, association.foreignKey);
+      resolved.otherKey = field(resolved.through, association.otherKey);
+      resolved.targetKey = field(source, association.sourceKey || source.primaryKeyAttribute);
+    } else {
+      resolved.foreignKey = field(target, association.foreignKey);
+      resolved.targetKey = field(source, association.sourceKey || source.primaryKeyAttribute);
+    }
+    resolved = Object.assign(resolved, include);
+    delete resolved.association;
+    resolved.include = QueryInterface.resolveIncludes(resolved.model, include.include);
+    return resolved;
+  }
+
+  /**
+   * Gets the tables whose changes affect the documents of a search column, walking down the includes.
+   * The documents a row affects are found by following the joins from the row's table back up to the model's table. The through table of a `belongsToMany` include is one of them.
+   * @param {Object} include the include object, or the options of createSearchColumn with the attributes and primaryKeyField for the model's table
+   * @param {Function} [parentKeys] gets the SQL that selects the primary keys of the documents affected by the rows of the parent table whose column is in the values.
+   * @return {Array<Object>} the tables and the columns whose updates affect the documents, and a function that gets the SQL of the keys of the documents that a row ("NEW" or "OLD") affects.
+   * Ex. [{tableName: "actor", columns: ["name", "actor_id"], isReference: false, keys: row => 'SELECT ...'}]
+   */
+  static getSearchTriggers(include, parentKeys) {
+    // Selects the column of the rows of the table whose field is in the values
+    let select = (column, tableName) => (field, values) => field === column ? values :
+      `SELECT ${QueryGenerator.col(column, tableName)} FROM ${QueryGenerator.table(tableName)} WHERE ${QueryGenerator.col(field, tableName)} IN (${values})`;
+    let tableName, column, keys, throughTrigger;
+    if (!parentKeys) {
+      // The model's table: the document of a row is its own
+      tableName = include.tableName;
+      column = include.primaryKeyField;
+      keys = select(column, tableName);
+    } else if (include.associationType === 'belongsToMany') {
+      // An included table is joined to the through table by its primary key, and the through table to the parent by its foreignKey
+      let through = include.through.tableName;
+      let throughKeys = (field, values) => parentKeys(include.targetKey, select(include.foreignKey, through)(field, values));
+      tableName = include.model.tableName;
+      column = include.model.primaryKeyField;
+      keys = (field, values) => throughKeys(include.otherKey, select(column, tableName)(field, values));
+      throughTrigger = {
+        tableName: through,
+        columns: [include.foreignKey, include.otherKey],
+        isReference: false,
+        keys: row => throughKeys(include.foreignKey, row + '.' + QueryGenerator.identifier(include.foreignKey))
+      };
+    } else {
+      // An included table is joined by its targetKey if it belongs to the parent, otherwise by its foreignKey
+      tableName = include.model.tableName;
+      let belongsTo = include.associationType === 'belongsTo';
+      column = belongsTo ? include.targetKey : include.foreignKey;
+      let parentColumn = belongsTo ? include.foreignKey : include.targetKey;
+      keys = (field, values) => parentKeys(parentColumn, select(column, tableName)(field, values));
+    }
+
+    let includes = Util.isEmptyObject(include.include) ? [] : [].concat(include.include);
+    let columns = Object.keys(include.attributes || {}).concat(parentKeys ? [column] : [])
+      .concat(includes.map(child => child.associationType === 'belongsTo' ? child.foreignKey : child.targetKey));
+    return includes.reduce((triggers, child) => triggers.concat(QueryInterface.getSearchTriggers(child, keys)), [{
+      tableName,
+      columns,
+      isReference: !parentKeys,
+      keys: row => keys(column, row + '.' + QueryGenerator.identifier(column))
+    }].concat(throughTrigger || []));
+  }
+
+  /**
+   * Builds the query that records the weights of the attributes in the documents as the JSON comment of the document column, so that searches can restrict words to the weight of an attribute. @see {@link SearchModel#loadWeights}
+   * @param {string} tableName the name of the materialized view or of the table of the search column
+   * @param {string} column the name of the document column
+   * @param {Object} weights the weights of the attributes by their names. Ex. {title: "A", releaseYear: "D", "Actors.name": "C"}
+   * @return {string} the COMMENT query
+   */
+  static commentWeights(tableName, column, weights) {
+    return `COMMENT ON COLUMN ${QueryGenerator.col(column, tableName)} IS ${QueryGenerator.literal(JSON.stringify(weights))};`;
+  }
+
+  /**
+   * Creates the pg_trgm extension, if it doesn't exist, and a trigram GIN index on each of the attributes, which are used by the fuzzy option of SearchModel.search.
+   * Each index is named "{tableName}_{field}_trgm_idx".
+   * @param {Object} model the model of the table to create the indexes on
+   * @param {Array<string>} attributes the text attributes to index. Ex. ["title", "description"]
+   * @param {Object} [options]
+   * @param {string} [options.tableName] override the `tableName` of the passed model
+   */
+  createTrigramIndexes(model, attributes, options = {}) {
+    let tableName = options.tableName || model.tableName;
+    return attributes.reduce((promise, attr) => promise.then(() => {
+      if (!SequelizeAdapter.attributes(model)[attr]) throw new UnknownAttributeError(attr, model.name, 'attributes');
+      let field = SequelizeAdapter.attributes(model)[attr].field;
+      return this.queryInterface.sequelize.query(QueryGenerator.createIndex(tableName + '_' + field + '_trgm_idx', tableName, [field],
+        {using: 'GIN', operatorClass: 'gin_trgm_ops'}));
+    }), this.queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;'));
+  }
+
+  /**
+   * Drops the trigram indexes created by createTrigramIndexes. The pg_trgm extension is kept.
+   * @param {Object} model the model of the table the indexes were created on
+   * @param {Array<string>} attributes the indexed attributes
+   * @param {Object} [options]
+   * @param {string} [options.tableName] override the `tableName` of the passed model
+   */
+  dropTrigramIndexes(model, attributes, options = {}) {
+    let tableName = options.tableName || model.tableName;
+    return Promise.all(attributes.map(attr => this.queryInterface.sequelize.query(
+      `DROP INDEX IF EXISTS ${QueryGenerator.identifier(tableName + '_' + SequelizeAdapter.attributes(model)[attr].field + '_trgm_idx')};`)));
+  }
+
+  /**
+   * Creates the vocabulary of a search model: a materialized view of the words of its documents and how many documents each one is in, which model.suggest completes prefixes from.
+   * The words of the document are its lexemes, as counted by ts_stat. The words of the fields are their unstemmed, lowercased words, which read better as completions of a title.
+   * A unique index on the field and word allows refreshing it concurrently and looking up prefixes, and a trigram index on the word looks up the corrections of the fuzzy searches' misspelled words.
+   * To use it, set the `vocabulary` option of the search model to true, or to the vocabulary's name if it isn't the default, so that model.refresh refreshes it along with the materialized view.
+   * @param {Object} model the materialized view model, or the model with the search column
+   * @param {Object} [options]
+   * @param {string} [options.name] the name of the vocabulary. Defaults to "{tableName}_vocabulary"
+   * @param {string} [options.tableName] override the `tableName` of the passed model
+   * @param {string} [options.column="document"] the tsvector column of the documents
+   * @param {Array<string>} [options.fields] attributes of the reference model, such as a title, whose words are counted as well, under the attribute's name. Ex. ["title"]. They're read from the reference model's table, joined to the materialized view on the primary key.
+   * @param {Boolean} [options.dryRun] if true, the queries that create the vocabulary and its indexes are returned instead of being run.
+   * @return {Promise} resolves with the queries if it's a dry run. It rejects with an UnknownAttributeError if a field isn't an attribute of the reference model.
+   */
+  createVocabulary(model, options = {}) {
+    let tableName = options.tableName || model.tableName;
+    let name = options.name || tableName + '_vocabulary';
+    let column = options.column || 'document';
+    return Promise.resolve().then(() => {
+      // The fields are attributes of the reference model, since a materialized view only has the documents and the primary key
+      let referenceModel = SearchModel.getReferenceModel(model);
+      let referenceTable = referenceModel === model ? tableName : referenceModel.tableName;
+      let from = QueryGenerator.table(tableName);
+      if (referenceModel !== model)
+        from += ` INNER JOIN ${QueryGenerator.table(referenceTable)} ON ${QueryGenerator.col(referenceModel.primaryKeyField, referenceTable)} = ${QueryGenerator.col(model.primaryKeyField, tableName)}`;
+
+      // The documents' lexemes are counted under an empty field, and each field's words under its attribute name
+      let documents = {field: '', vector: QueryGenerator.col(column, tableName), from: QueryGenerator.table(tableName)};
+      let stats = [documents].concat((options.fields || []).map(attr => {
+        let attribute = SequelizeAdapter.attributes(referenceModel)[attr];
+        if (!attribute) throw new UnknownAttributeError(attr, referenceModel.name, 'fields');
+        let field = QueryGenerator.coalesce(QueryGenerator.cast(QueryGenerator.col(attribute.field, referenceTable))).build();
+        return {field: attr, vector: QueryGenerator.toTSVector(field, 'simple').build(), from};
+      })).map(stat => `SELECT ${QueryGenerator.literal(stat.field)}::TEXT AS "field", "word", "ndoc", "nentry" FROM ` +
+        `ts_stat(${QueryGenerator.literal('SELECT ' + stat.vector + ' FROM ' + stat.from)})`);
+
+      return this.run([
+        `CREATE MATERIALIZED VIEW ${QueryGenerator.table(name)} AS ${stats.join(' UNION ALL ')};`,
+        QueryGenerator.createIndex(name + '_field_word_key', name, ['field', 'word'], {unique: true, operatorClass: 'text_pattern_ops'}),
+        // The fuzzy searches look up the corrections of misspelled words by trigram similarity
+        'CREATE EXTENSION IF NOT EXISTS pg_trgm;',
+        QueryGenerator.createIndex(name + '_word_trgm_idx', name, ['word'], {using: 'GIN', operatorClass: 'gin_trgm_ops'})
+      ], options);
+    });
+  }
+
+  /**
+   * Refreshes the vocabulary created by createVocabulary. model.refresh refreshes it already if the model's `vocabulary` option is set; this is for the models with a search column, which have no refresh.
+   * @param {Object} model the model the vocabulary was created for
+   * @param {Object} [options] the options of model.refresh. Ex. {concurrently: true}
+   * @param {string} [options.name] the name of the vocabulary. Defaults to "{tableName}_vocabulary"
+   * @return {Promise}
+   */
+  refreshVocabulary(model, options = {}) {
+    return QueryGenerator.refreshMaterializedView(options.name || model.tableName + '_vocabulary',
+      Object.assign({}, options, {sequelize: this.queryInterface.sequelize}));
+  }
+
+  /**
+   * Drops the vocabulary created by createVocabulary.
+   * @param {Object} model the model the vocabulary was created for
+   * @param {Object} [options]
+   * @param {string} [options.name] the name of the vocabulary. Defaults to "{tableName}_vocabulary"
+   */
+  dropVocabulary(model, options = {}) {
+    return this.queryInterface.sequelize.query(`DROP MATERIALIZED VIEW IF EXISTS ${QueryGenerator.table(options.name || model.tableName + '_vocabulary')};`);
   }
 
   /**
@@ -61,27 +404,37 @@ class QueryInterface {
    * @param {String} [options.tableName] the name of the table of the passed model
    * @param {Boolean} [options.shouldAggregate] value to pass to the shouldAggregate of buildDocumentFromAttributes. @see {@link QueryInterface#buildDocumentFromAttributes}
    * @param {Object} [options.modelDescription] the description of the parent model if the includeOrModel is an include
+   * @param {String} [options.config] the text search configuration of the parent model
    * @return {Promise} the raw SQL command that builds the document
    */
   buildDocument(includeOrModel, attributes, options) {
-    let include = includeOrModel, model = includeOrModel, isInclude = false;
+    let include = includeOrModel, model = includeOrModel, isInclude = false, config = options.config;
     if (options.isInclude) {
       model = include.model;
       isInclude = true;
+      config = include.config || config;
     }
     let areNullable = undefined, shouldAggregate = options.shouldAggregate;
     if (!Util.isEmptyObject(options.modelDescription))
       areNullable = options.modelDescription[include.foreignKey] ? options.modelDescription[include.foreignKey].allowNull : true;
 
-    return model.describe().then(modelDescription => {
+    return SequelizeAdapter.describe(model).then(modelDescription => {
       if (isInclude) {
         let foreignKey, targetKey, groupByField;
-        if (include.associationType === 'belongsTo') {
+        if (include.associationType === 'belongsToMany') {
+          // The through table is joined to the parent by the foreignKey, and the model is joined to the through table by the otherKey.
+          // It's aliased after the include, so that the through tables of two includes, or of an include and its nested include, don't clash. Ex. "Actors_through"
+          let through = (include.as || model.tableName) + '_through';
+          this.query.leftOuterJoin(include.through, QueryGenerator.col(include.foreignKey, through), QueryGenerator.col(include.targetKey, options.tableName), through);
+          foreignKey = QueryGenerator.col(model.primaryKeyField, include.as || model.tableName);
+          targetKey = QueryGenerator.col(include.otherKey, through);
+          areNullable = shouldAggregate = true;
+        } else if (include.associationType === 'belongsTo') {
           foreignKey = QueryGenerator.col(include.foreignKey, options.tableName);
-          targetKey = QueryGenerator.col(include.targetKey, model.tableName);
+          targetKey = QueryGenerator.col(include.targetKey, include.as || model.tableName);
           groupByField = include.targetKey;
         } else {
-          foreignKey = QueryGenerator.col(include.foreignKey, model.tableName);
+          foreignKey = QueryGenerator.col(include.foreignKey, include.as || model.tableName);
           targetKey = QueryGenerator.col(include.targetKey, options.tableName);
           groupByField = model.primaryKeyField;
           if (include.associationType === 'hasMany') {
@@ -93,10 +446,16 @@ class QueryInterface {
       }
       if (!Util.isEmptyObject(attributes)) {
         this.document = this.document.concat(this.buildDocumentFromAttributes(attributes, modelDescription,
-          include.as || model.tableName, { areNullable, shouldAggregate }));
+          include.as || model.tableName, { areNullable, shouldAggregate, config }));
+        // The weights are recorded under the names of the attributes, which the searches' fields are named after, rather than their columns. Ex. "releaseYear" for "release_year"
+        // The attributes of the includes are recorded under the include's alias or table name. Ex. "Actors.name"
+        let modelAttributes = SequelizeAdapter.attributes(model) || {};
+        let attributeOf = field => Object.keys(modelAttributes).find(attr => (modelAttributes[attr].field || attr) === field) || field;
+        Object.keys(attributes).forEach(key => this.weights[(isInclude ? (include.as || model.tableName) + '.' : '') + attributeOf(key)] =
+          (Util.isEmptyObject(attributes[key]) ? attributes[key] : attributes[key].weight).toUpperCase());
       }
-      return this.buildDocumentFromInclude(isInclude ? Object.assign({shouldAggregate}, include) : options,
-        isInclude ? model.tableName : options.tableName, modelDescription);
+      return this.buildDocumentFromInclude(isInclude ? Object.assign({shouldAggregate}, include, {config}) : options,
+        isInclude ? include.as || model.tableName : options.tableName, modelDescription);
     })
   }
 
@@ -108,25 +467,32 @@ class QueryInterface {
    * @param {Object} [options]
    * @param {Boolean} [options.shouldAggregate] if true, the Postgres string_agg function is called on the attribute
    * @param {Boolean} [options.areNullable] overrides the isNullable value of each attribute and considers them all to be nullable.
+   * @param {String} [options.config] the text search configuration of the attributes that don't set their own.
    * @return {Array<String>} the raw SQL query the builds each attribute
+   * @throws {InvalidWeightError} if a weight isn't A, B, C, or D
+   * @throws {UnknownAttributeError} if an attribute isn't in the model description
    */
   buildDocumentFromAttributes(attributes, modelDescription, tableName, options = {}) {
     return Object.keys(attributes).map(key => {
-      if (typeof attributes[key] === 'string') {
-        let attr = modelDescription[key];
-        let shouldCast =
-          !(attr.type === 'TEXT' ||
-          attr.type === 'CHARACTER VARYING' ||
-          attr.type === 'CHARACTER');
-
-        let column = QueryGenerator.col(key, tableName);
-        if (shouldCast) column = QueryGenerator.cast(column);
-        if (options.shouldAggregate) column = QueryGenerator.stringAggregate(column).build();
-        if (options.areNullable || attr.allowNull) column = QueryGenerator.coalesce(column).build();
-        return QueryGenerator.setWeight(QueryGenerator.toTSVector(column).build(), attributes[key]).build();
-      } else {
-        throw new TypeError('Must be either a weight or attributes of model');
+      let weight = attributes[key], config = options.config;
+      if (!Util.isEmptyObject(weight)) {
+        config = weight.config || config;
+        weight = weight.weight;
       }
+      if (typeof weight !== 'string' || WEIGHTS.indexOf(weight.toUpperCase()) < 0) throw new InvalidWeightError(weight, key);
+
+      let attr = modelDescription[key];
+      if (!attr) throw new UnknownAttributeError(key, tableName, 'attributes');
+      let shouldCast =
+        !(attr.type === 'TEXT' ||
+        attr.type === 'CHARACTER VARYING' ||
+        attr.type === 'CHARACTER');
+
+      let column = QueryGenerator.col(key, tableName);
+      if (shouldCast) column = QueryGenerator.cast(column);
+      if (options.shouldAggregate) column = QueryGenerator.stringAggregate(column).build();
+      if (options.areNullable || attr.allowNull) column = QueryGenerator.coalesce(column).build();
+      return QueryGenerator.setWeight(QueryGenerator.toTSVector(column, config).build(), weight).build();
     });
   };
 
@@ -135,6 +501,7 @@ class QueryInterface {
    * @param {Object} options the include object or the options object passed to the createMaterializedView object
    * @param {Object} options.include the include object. @see {@link QueryInterface#createMaterializedView}'s documentation
    * @param {Boolean} [options.shouldAggregate] value to pass to the shouldAggregate of buildDocument. @see {@link QueryInterface#buildDocumentFromAttributes}
+   * @param {String} [options.config] the text search configuration to pass to buildDocument.
    * @param {String} tableName the name of the model's table
    * @param {object} modelDescription The description of the parent include model
    * @return {Promise} @see {@link QueryInterface#buildDocument}
@@ -143,9 +510,10 @@ class QueryInterface {
     if (!Util.isEmptyObject(options.include)) {
       // If include is an array, call buildDocument on each one of them, otherwise call buildDocument for the include object.
       return Array.isArray(options.include) ?
-        Promise.all(options.include.map(include => this.buildDocument(include, include.attributes, {tableName, modelDescription, isInclude: true}))) :
+        Promise.all(options.include.map(include => this.buildDocument(include, include.attributes,
+          {tableName, modelDescription, shouldAggregate: options.shouldAggregate, config: options.config, isInclude: true}))) :
         this.buildDocument(options.include, options.include.attributes,
-          {tableName, modelDescription, shouldAggregate: options.shouldAggregate, isInclude: true});
+          {tableName, modelDescription, shouldAggregate: options.shouldAggregate, config: options.config, isInclude: true});
     }
     return Promise.resolve();
   }
@@ -0,0 +1,117 @@
+'use strict';
+
+const HOOKS = ['afterCreate', 'afterUpdate', 'afterDestroy', 'afterBulkCreate', 'afterBulkUpdate', 'afterBulkDestroy'];
+
+class RefreshScheduler {
+  /**
+   * Coalesces refresh requests so that at most one refresh runs at a time.
+   * A refresh runs once no refresh was requested for `debounceMs`, or `maxWaitMs` after the first pending request, whichever comes first.
+   * Requests made while a refresh is running schedule one trailing refresh after it.
+   * @param {Function} refresh the function that refreshes the materialized view and returns a promise
+   * @param {Object} [options]
+   * @param {Number} [options.debounceMs=1000] the time to wait after the last request before refreshing
+   * @param {Number} [options.maxWaitMs=10000] the longest time to wait after the first pending request before refreshing
+   * @param {Function} [options.onError] called with the error if a refresh fails. The error is ignored if it isn't passed, since nothing awaits the scheduled refreshes.
+   */
+  constructor(refresh, options = {}) {
+    this.refresh = refresh;
+    this.debounceMs = options.debounceMs !== undefined ? options.debounceMs : 1000;
+    this.maxWaitMs = options.maxWaitMs !== undefined ? options.maxWaitMs : 10000;
+    this.onError = options.onError || (() => {});
+    this.timer = null;
+    this.firstRequestedAt = null;
+    this.running = null;
+    this.pending = false;
+    this.hooks = [];
+    this.stopped = false;
+  }
+
+  /**
+   * Requests a refresh
+   */
+  schedule() {
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+    let now = Date.now();
+    if (this.firstRequestedAt === null) this.firstRequestedAt = now;
+    let wait = Math.min(this.debounceMs, Math.max(0, this.firstRequestedAt + this.maxWaitMs - now));
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.run(), wait);
+  }
+
+  /**
+   * Runs the refresh now, followed by a trailing refresh if more were requested while it ran.
+   * @return {Promise} resolves when the refresh is done
+   */
+  run() {
+    if (this.running) {
+      this.pending = true;
+      return this.running;
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.firstRequestedAt = null;
+    this.running = Promise.resolve()
+      .then(() => this.refresh())
+      .catch(err => this.onError(err))
+      .then(() => {
+        this.running = null;
+        if (this.pending) {
+          this.pending = false;
+          this.schedule();
+        }
+      });
+    return this.running;
+  }
+
+  /**
+   * Runs the pending refresh without waiting for its timer
+   * @return {Promise} resolves when the pending or running refresh is done
+   */
+  flush() {
+    if (this.timer) return this.run();
+    return this.running || Promise.resolve();
+  }
+
+  /**
+   * Registers the hooks that request a refresh on every write to the models. The models that are already watched, and all the models once the scheduler is stopped, are skipped.
+   * Writes made in a transaction request the refresh after the transaction commits if the Sequelize version supports it.
+   * @param {Array<Object>} models the sequelize models to add the hooks to
+   * @param {String} name the name of the hooks, used to remove them later
+   * @return {RefreshScheduler} refreshScheduler
+   */
+  watch(models, name) {
+    // The options are the last argument of every hook
+    let hook = (...args) => {
+      let options = args[args.length - 1] || {};
+      if (options.transaction && typeof options.transaction.afterCommit === 'function')
+        options.transaction.afterCommit(() => this.schedule());
+      else this.schedule();
+    };
+
+    if (this.stopped) return this;
+    models.filter((model, i) => models.indexOf(model) === i && !this.hooks.some(hook => hook.model === model))
+      .forEach(model => HOOKS.forEach(hookType => {
+        model.addHook(hookType, name, hook);
+        this.hooks.push({model, hookType, name});
+      }));
+    return this;
+  }
+
+  /**
+   * Removes the hooks and cancels the pending refresh. A running refresh is not interrupted.
+   */
+  stop() {
+    this.hooks.forEach(hook => hook.model.removeHook(hook.hookType, hook.name));
+    this.hooks = [];
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.firstRequestedAt = null;
+    this.pending = false;
+  }
+}
+
+module.exports = RefreshScheduler;
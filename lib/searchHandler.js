@@ -0,0 +1,176 @@
+'use strict';
+
+let querystring = require('querystring');
+let SearchModel = require('./searchModel');
+let SequelizeAdapter = require('./sequelizeAdapter');
+let { SearchError, UnknownAttributeError, InvalidValueError } = require('./errors');
+
+// The query parameters that aren't filters
+const PARAMETERS = ['q', 'sort', 'limit', 'offset'];
+// The values that Postgres accepts for booleans
+const BOOLEAN_VALUES = ['true', 'false', 't', 'f', 'yes', 'no', 'y', 'n', 'on', 'off', '1', '0'];
+
+class SearchHandler {
+  /**
+   * Handles HTTP search requests by mapping their query parameters to the options of {@link SearchModel#search}:
+   * - q - the search query. Ex. ?q=chicago
+   * - the filters, by the attributes' names. The values have the syntax of the filters of searchByText. Ex. ?releaseYear=2000..2010&rating=PG,R
+   * - sort - the attributes to order the results by, separated by commas. A minus sign reverses the order. Ex. ?sort=-releaseYear,title
+   * - limit and offset - the page of the results. Ex. ?limit=20&offset=40
+   * @param {Object} model the sequelize model of the materialized view to search
+   * @param {Object} [options]
+   * @param {Array<String>} [options.filters] the attributes that the results can be filtered by. A filter by any other attribute is a bad request.
+   * @param {Array<String>} [options.sort] the attributes that the results can be ordered by. Ordering by any other attribute is a bad request.
+   * @param {int} [options.defaultLimit=20] the number of results to return if the request has no limit
+   * @param {int} [options.maxLimit=100] the most results to return. Larger limits are lowered to it.
+   * @param {Object} [options.search] other options to search with. Ex. {attributes: ["id", "title"], highlight: {fields: ["title"]}}. @see {@link SearchModel#search}
+   */
+  constructor(model, options = {}) {
+    this.model = model;
+    this.filters = options.filters || [];
+    this.sort = options.sort || [];
+    this.defaultLimit = options.defaultLimit !== undefined ? options.defaultLimit : 20;
+    this.maxLimit = options.maxLimit !== undefined ? options.maxLimit : 100;
+    this.searchOptions = options.search || {};
+  }
+
+  /**
+   * Searches by the query parameters of a request. It doesn't depend on any framework; @see {@link SearchHandler#express} and {@link SearchHandler#koa}
+   * @param {Object} params the query parameters of the request. Ex. {q: "chicago", limit: "10"}
+   * @param {String} [path=""] the path of the request, which the pagination links are relative to. Ex. "/films"
+   * @return {Promise<Object>} the status and the body of the response.
+   * If the search succeeds, the status is 200 and the body is {results, total, links}. The links are the `self`, `first`, `prev`, and `next` pages; `prev` and `next` are null if there's no such page.
+   * If a parameter is invalid, the status is 400 and the body is {error: {name, message, key}}.
+   * The promise is rejected with any other error, such as a database error.
+   */
+  handle(params, path = '') {
+    return Promise.resolve()
+      .then(() => {
+        let [query, options] = this.parse(params || {});
+        return SearchModel.search(this.model, query, options).then(results => ({
+          status: 200,
+          body: {results: results.rows, total: results.count, links: this.links(params || {}, path, options, results.count)}
+        }));
+      })
+      .catch(err => {
+        if (!(err instanceof SearchError)) throw err;
+        return {status: 400, body: {error: {name: err.name, message: err.message, key: err.key}}};
+      });
+  }
+
+  /**
+   * Parses the query parameters into the query and the options of the search
+   * @param {Object} params the query parameters of the request
+   * @return {Array} the query and the options to pass to SearchModel.search
+   * @throws {UnknownAttributeError} if a filter or a sort attribute isn't whitelisted
+   * @throws {InvalidValueError} if a parameter has more than one value where one is expected, a filter by a numeric, date, or boolean attribute isn't by values of its type, the limit isn't a positive integer, or the offset isn't a non-negative integer
+   */
+  parse(params) {
+    let options = Object.assign({}, this.searchOptions, {count: true});
+    let single = key => {
+      if (params[key] !== undefined && typeof params[key] !== 'string') throw new InvalidValueError(key, params[key], 'a single value');
+      return params[key];
+    };
+    let integer = (key, min) => {
+      let value = single(key);
+      if (value === undefined || value === '') return undefined;
+      if (!/^\d+$/.test(value) || parseInt(value, 10) < min) throw new InvalidValueError(key, value, 'an integer of at least ' + min);
+      return parseInt(value, 10);
+    };
+
+    let limit = integer('limit', 1);
+    options.limit = Math.min(limit !== undefined ? limit : this.defaultLimit, this.maxLimit);
+    options.offset = integer('offset', 0) || 0;
+
+    let sort = single('sort');
+    if (sort) {
+      options.order = sort.split(',').filter(attr => attr).map(attr => {
+        let field = attr.charAt(0) === '-' ? [attr.substring(1), 'DESC'] : [attr, 'ASC'];
+        if (this.sort.indexOf(field[0]) < 0) throw new UnknownAttributeError(field[0], this.model.name, 'sort');
+        return field;
+      });
+    }
+
+    let where = Object.assign({}, options.where);
+    Object.keys(params).filter(key => PARAMETERS.indexOf(key) < 0).forEach(key => {
+      if (this.filters.indexOf(key) < 0) throw new UnknownAttributeError(key, this.model.name, 'filters');
+      // A repeated parameter matches any of its values. Ex. ?rating=PG&rating=R
+      let values = [].concat(params[key]);
+      if (values.some(value => typeof value !== 'string')) throw new InvalidValueError(key, params[key], 'a string');
+      where[key] = SearchModel.parseFilter(values.join(','));
+      this.checkFilter(key, where[key]);
+    });
+    options.where = where;
+
+    return [single('q') || '', options];
+  }
+
+  /**
+   * Checks that a filter by a numeric, date, or boolean attribute compares it to values of its type, so that other values are a bad request instead of a database error
+   * @param {String} key the attribute of the filter
+   * @param {Object} filter the operator and the value of the filter. @see {@link SearchModel#parseFilter}
+   * @throws {InvalidValueError} if a value isn't a number, a date, or a boolean, respectively
+   */
+  checkFilter(key, filter) {
+    let attribute = SequelizeAdapter.attributes(SearchModel.getReferenceModel(this.model))[key];
+    // The unknown attributes are rejected by the search.
+    // CONTAINS casts the attribute to text, but the text of a number, a date, or a boolean can't contain a value that isn't one, so its values are checked as well.
+    if (!attribute) return;
+    let isValid, expected;
+    if (SequelizeAdapter.isNumericAttribute(attribute)) {
+      isValid = value => value.trim() !== '' && !isNaN(Number(value));
+      expected = 'a number';
+    } else if (SequelizeAdapter.isDateAttribute(attribute)) {
+      isValid = value => !isNaN(Date.parse(value));
+      expected = 'a date';
+    } else if (SequelizeAdapter.isBooleanAttribute(attribute)) {
+      isValid = value => BOOLEAN_VALUES.indexOf(value.trim().toLowerCase()) >= 0;
+      expected = 'true or false';
+    } else return;
+    [].concat(filter.value === undefined ? [] : filter.value).forEach(value => {
+      if (!isValid(value)) throw new InvalidValueError(key, value, expected);
+    });
+  }
+
+  /**
+   * Builds the links to the pages of the results, which keep the other query parameters of the request
+   * @param {Object} params the query parameters of the request
+   * @param {String} path the path of the request
+   * @param {Object} options the search options, with the limit and offset of the page
+   * @param {int} total the total number of results
+   * @return {Object} the links of the `self`, `first`, `prev`, and `next` pages
+   */
+  links(params, path, options, total) {
+    let link = offset => path + '?' + querystring.stringify(Object.assign({}, params, {limit: options.limit, offset}));
+    return {
+      self: link(options.offset),
+      first: link(0),
+      prev: options.offset > 0 ? link(Math.max(0, options.offset - options.limit)) : null,
+      next: options.offset + options.limit < total ? link(options.offset + options.limit) : null
+    };
+  }
+
+  /**
+   * Creates an Express middleware that responds with the results of the search. Errors other than bad parameters are passed to `next`.
+   * Ex. app.get("/films", new SearchHandler(Film, {filters: ["releaseYear"]}).express())
+   * @return {Function} the middleware
+   */
+  express() {
+    return (req, res, next) => this.handle(req.query, (req.baseUrl || '') + req.path)
+      .then(response => res.status(response.status).json(response.body), next);
+  }
+
+  /**
+   * Creates a Koa middleware that responds with the results of the search. Errors other than bad parameters are thrown to the upstream middleware.
+   * Ex. router.get("/films", new SearchHandler(Film, {filters: ["releaseYear"]}).koa())
+   * @return {Function} the middleware
+   */
+  koa() {
+    return ctx => this.handle(ctx.query, ctx.path).then(response => {
+      ctx.status = response.status;
+      ctx.body = response.body;
+    });
+  }
+}
+
+module.exports = SearchHandler;
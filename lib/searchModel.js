@@ -1,37 +1,281 @@
 'use strict';
 
 let QueryGenerator = require('./queryGenerator');
+let RefreshScheduler = require('./refreshScheduler');
+let SequelizeAdapter = require('./sequelizeAdapter');
+let TSQueryParser = require('./tsQueryParser');
 let Util = require('../util');
+let {UnknownAttributeError, InvalidOperatorError, InvalidValueError} = require('./errors');
+
+// The alias of the total count selected with the results
+const COUNT_ALIAS = '_count';
+// The alias of the relevance rank selected with the results
+const RANK_ALIAS = '_rank';
+// The alias of the name of the model each result of searchAll comes from
+const MODEL_ALIAS = '_model';
+// The alias of the primary key that breaks the ties between the results of searchAll
+const KEY_ALIAS = '_key';
+
+// The prefix of the aliases of the order by keys selected to build the next page's cursor
+const CURSOR_ALIAS = '_cursor';
+
+// The operators that options.where filters can use. They're concatenated into the query, so no other operator is allowed.
+const OPERATORS = ['=', '!=', '<>', '>', '<', '>=', '<=', '@@', 'like', 'not like', 'ilike', 'not ilike', 'contains', 'not contains', 'in', 'not in', 'between', 'not between', 'is null', 'is not null', 'is true', 'is not true', 'is false', 'is not false'];
+
+// The operators of Sequelize's where syntax and the operators of the filters they're compiled into. @see {@link SearchModel#compileWhere}
+const WHERE_OPERATORS = {
+  $eq: '=',
+  $ne: '!=',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+  $in: 'in',
+  $notIn: 'not in',
+  $between: 'between',
+  $notBetween: 'not between',
+  $like: 'like',
+  $notLike: 'not like',
+  $iLike: 'ilike',
+  $notILike: 'not ilike'
+};
+
+// The operators that negate the operators of the filters in the query string
+const NEGATED_OPERATORS = {
+  '=': '!=',
+  '!=': '=',
+  '>': '<=',
+  '>=': '<',
+  '<': '>=',
+  '<=': '>',
+  'ilike': 'not ilike',
+  'contains': 'not contains',
+  'in': 'not in',
+  'between': 'not between',
+  'is null': 'is not null',
+  'is not null': 'is null'
+};
 
 class SearchModel {
   /**
-   * Adds search, searchByModel, and refresh class methods to the model.
+   * Adds search, searchAndCount, searchByText, toSQL, suggest, loadWeights, refresh, and autoRefresh class methods to the model.
+   * The model is either a materialized view model that has a `referenceModel`, or a model whose table has a search column, which is kept up to date by triggers instead of being refreshed. @see {@link QueryInterface#createSearchColumn}
    * @param {Object} model The sequelize model to turn into a SearchModel.
    * @return {Object} The mutated sequelize model
    */
   constructor(model) {
-    // Add the allIndicesOf function to the string prototype
-    Util.polyfillAllIndicesOf();
-
     model.search = (query, options) => SearchModel.search(model, query, options);
-    model.searchByText = query => SearchModel.search(model, ...SearchModel.parseQuery(query));
-    model.refresh = () => QueryGenerator.refreshMaterializedView(model);
+    model.searchAndCount = (query, options) => SearchModel.searchAndCount(model, query, options);
+    model.searchByText = (query, options) => SearchModel.searchByText(model, query, options);
+    model.toSQL = (query, options) => SearchModel.toSQL(model, query, options);
+    model.suggest = (prefix, options) => SearchModel.suggest(model, prefix, options);
+    model.loadWeights = () => SearchModel.loadWeights(model);
+    if (SearchModel.getReferenceModel(model) !== model) {
+      model.refresh = options => SearchModel.refresh(model, options);
+      model.autoRefresh = options => SearchModel.autoRefresh(model, options);
+    }
     return model;
   }
 
+  /**
+   * Gets the model the search results are of; i.e. the `referenceModel` of a materialized view model, or the model itself if it has a search column.
+   * @param {Object} model the sequelize model to search
+   * @return {Object} the reference model
+   */
+  static getReferenceModel(model) {
+    return model.referenceModel || model.options.referenceModel || model;
+  }
+
+  /**
+   * Gets the name of the tsvector column to search, which is set by the `searchColumn` option of the model.
+   * @param {Object} model the sequelize model to search
+   * @return {String} the column name. Defaults to "document", which is the column of the materialized views.
+   */
+  static getSearchColumn(model) {
+    return model.options.searchColumn || 'document';
+  }
+
+  /**
+   * Gets the weights of the attributes in the model's documents, which restrict the words scoped to an attribute to its weight.
+   * They're set by the `weights` option of the model, or else loaded from the database, where createMaterializedView and createSearchColumn record them. @see {@link SearchModel#loadWeights}
+   * @param {Object} model the sequelize model to search
+   * @return {Object|null} the weights of the attributes. Ex. {title: "A", description: "B", "Actors.name": "C"}. Null if they aren't loaded yet.
+   */
+  static getWeights(model) {
+    return model.options.weights || model.searchWeights || null;
+  }
+
+  /**
+   * Loads the weights of the attributes in the model's documents from the comment of the search column, where they're recorded as JSON when the materialized view or the search column is created.
+   * They're kept on the model, so they're only loaded once.
+   * @param {Object} model the sequelize model to search
+   * @return {Promise<Object>} the weights of the attributes, or an empty object if none were recorded
+   */
+  static loadWeights(model) {
+    let query = 'SELECT col_description(attrelid, attnum) AS "comment" FROM pg_attribute WHERE attrelid = $1::regclass AND attname = $2;';
+    let bind = [QueryGenerator.table(model), SearchModel.getSearchColumn(model)];
+    return model.sequelize.query(query, {type: model.sequelize.QueryTypes.SELECT, bind}).then(rows => {
+      let weights = {};
+      try {
+        weights = JSON.parse(rows.length > 0 && rows[0].comment) || {};
+      } catch (err) {
+        // The column has no comment, or one that wasn't written by this library
+      }
+      return model.searchWeights = weights;
+    });
+  }
+
+  /**
+   * Checks whether the search is restricted to fields, by the `fields` option or by words scoped to a field in the query. Ex. "title~chicago"
+   * @param {String} [query] the search query
+   * @param {Object} options the search options
+   * @return {boolean} true if the search is restricted to fields
+   */
+  static isScoped(query, options) {
+    return !Util.isEmptyObject(options.fields) || TSQueryParser.fields(query).length > 0;
+  }
+
+  /**
+   * Gets the weight labels that restrict the words of the query to the weights of the fields.
+   * @param {Object} model the sequelize model to search
+   * @param {String} [query] the search query
+   * @param {Object} options the search options
+   * @return {Object|undefined} the labels of the words that aren't scoped to a field, and the labels of each field. @see {@link TSQueryParser.parse}
+   */
+  static getLabels(model, query, options) {
+    if (!SearchModel.isScoped(query, options)) return undefined;
+    let weights = SearchModel.getWeights(model) || {};
+    let labels = fields => fields.map(field => weights[field])
+      .filter((weight, i, labels) => labels.indexOf(weight) === i)
+      .sort()
+      .join('');
+    let fields = {};
+    TSQueryParser.fields(query).forEach(field => fields[field] = labels([field]));
+    return {labels: Util.isEmptyObject(options.fields) ? undefined : labels(options.fields), fields};
+  }
+
+  /**
+   * Gets the name of the vocabulary of the model, which is set by the `vocabulary` option of the model. @see {@link QueryInterface#createVocabulary}
+   * @param {Object} model the sequelize model to search
+   * @return {String|null} the name of the vocabulary, "{tableName}_vocabulary" if the option is true, or null if the model has no vocabulary
+   */
+  static getVocabulary(model) {
+    let vocabulary = model.options.vocabulary;
+    if (!vocabulary) return null;
+    return vocabulary === true ? model.tableName + '_vocabulary' : vocabulary;
+  }
+
+  /**
+   * Refreshes the materialized view, and then its vocabulary if it has one.
+   * @param {Object} model the sequelize model of the materialized view
+   * @param {Object} [options] @see {@link QueryGenerator.refreshMaterializedView}
+   * @return {Promise}
+   */
+  static refresh(model, options = {}) {
+    let vocabulary = SearchModel.getVocabulary(model);
+    return QueryGenerator.refreshMaterializedView(model, options).then(() => vocabulary &&
+      QueryGenerator.refreshMaterializedView(vocabulary, Object.assign({}, options, {sequelize: model.sequelize})));
+  }
+
+  /**
+   * Completes the prefix with the words of the model's vocabulary, the most frequent first, to suggest searches as the user types.
+   * @param {Object} model the sequelize model to search
+   * @param {String} prefix the beginning of the word. It's lowercased, like the words of the vocabulary.
+   * @param {Object} [options]
+   * @param {Number} [options.limit=10] the maximum number of words to return
+   * @param {Array<String>} [options.fields] the fields of the vocabulary to complete from, which are attributes of the reference model. Ex. ["title"]. Defaults to the lexemes of the documents.
+   * @return {Promise<Array<Object>>} the words and the number of documents they're in. Ex. [{word: "incept", count: 3}]
+   * The promise is rejected with a SearchError if the limit or the fields are invalid.
+   */
+  static suggest(model, prefix, options = {}) {
+    return Util.promise(() => {
+      let vocabulary = SearchModel.getVocabulary(model);
+      if (!vocabulary)
+        throw new Error(`${model.name} has no vocabulary. Create one with QueryInterface.createVocabulary and set the vocabulary option of the model`);
+      let limit = options.limit === undefined ? 10 : options.limit;
+      if (!Number.isInteger(limit) || limit < 0) throw new InvalidValueError('limit', limit, 'an integer');
+      let fields = options.fields || [''];
+      // The fields of the vocabulary are attributes of the reference model. @see {@link QueryInterface#createVocabulary}
+      let referenceModel = SearchModel.getReferenceModel(model);
+      fields.forEach(attr => {
+        if (attr !== '' && !SequelizeAdapter.attributes(referenceModel)[attr]) throw new UnknownAttributeError(attr, referenceModel.name, 'fields');
+      });
+
+      // The prefix's LIKE wildcards are escaped so that they're matched literally
+      let pattern = String(prefix || '').toLowerCase().replace(/[\\%_]/g, '\\$&') + '%';
+      let bind = [pattern].concat(fields);
+      let query = `SELECT "word", sum("ndoc") AS "count" FROM ${QueryGenerator.table(vocabulary)} ` +
+        `WHERE "word" LIKE $1 AND "field" IN (${fields.map((field, i) => '$' + (i + 2)).join(', ')}) ` +
+        `GROUP BY "word" ORDER BY "count" DESC, "word" ASC LIMIT ${limit};`;
+      return model.sequelize.query(query, {type: model.sequelize.QueryTypes.SELECT, bind})
+        .then(rows => rows.map(row => ({word: row.word, count: parseInt(row.count, 10)})));
+    });
+  }
+
+  /**
+   * Refreshes the materialized view whenever the reference model, the models of the other tables it's built from, or the other passed models are created, updated, or destroyed.
+   * The refreshes are debounced and coalesced so that bulk writes don't trigger a refresh each. @see {@link RefreshScheduler}
+   * Calling it again replaces the previous hooks.
+   * @param {Object} model the sequelize model of the materialized view
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.models] other models whose writes should refresh the materialized view.
+   * The models of the tables the materialized view is built from, such as its included models and the through models of its belongsToMany includes, are watched once they're loaded. @see {@link SearchModel#loadDependencies}
+   * @param {Number} [options.debounceMs=1000] the time to wait after the last write before refreshing
+   * @param {Number} [options.maxWaitMs=10000] the longest time to wait after the first write before refreshing
+   * @param {Object} [options.refresh] the options to pass to refresh. Ex. {concurrently: true}
+   * @param {Function} [options.onError] called with the error if a refresh, or loading the models to watch, fails. Defaults to logging it with the `logging` option of the model's sequelize, if it's a function.
+   * @return {RefreshScheduler} the scheduler of the refreshes, which can be stopped by calling `stop()`. Its `ready` promise resolves once the models the materialized view is built from are watched.
+   */
+  static autoRefresh(model, options = {}) {
+    let referenceModel = SearchModel.getReferenceModel(model);
+    let logging = model.sequelize.options.logging;
+    let onError = options.onError || (err => {
+      if (typeof logging === 'function') logging(`Refreshing ${model.name} failed: ${err.stack || err}`);
+    });
+    let name = model.name + 'AutoRefresh';
+    if (model.refreshScheduler) model.refreshScheduler.stop();
+    let scheduler = model.refreshScheduler = new RefreshScheduler(() => model.refresh(options.refresh), Object.assign({}, options, {onError}))
+      .watch([referenceModel].concat(options.models || []), name);
+    scheduler.ready = Promise.resolve().then(() => SearchModel.loadDependencies(model))
+      .then(models => scheduler.watch(models, name))
+      .catch(onError);
+    return scheduler;
+  }
+
+  /**
+   * Gets the models of the tables the materialized view is built from, which Postgres records when the view is created. The tables that have no model in the model's sequelize are left out.
+   * @param {Object} model the sequelize model of the materialized view
+   * @return {Promise<Array<Object>>} the models
+   */
+  static loadDependencies(model) {
+    // The tables a materialized view selects from are the dependencies of its rewrite rule
+    let query = 'SELECT DISTINCT "class"."relname" AS "table" FROM pg_rewrite AS "rule" ' +
+      'JOIN pg_depend AS "dependency" ON "dependency"."classid" = \'pg_rewrite\'::regclass AND "dependency"."objid" = "rule"."oid" ' +
+      'AND "dependency"."refclassid" = \'pg_class\'::regclass ' +
+      'JOIN pg_class AS "class" ON "class"."oid" = "dependency"."refobjid" ' +
+      'WHERE "rule"."ev_class" = $1::regclass AND "class"."oid" <> "rule"."ev_class";';
+    let bind = [QueryGenerator.table(model)];
+    return model.sequelize.query(query, {type: model.sequelize.QueryTypes.SELECT, bind}).then(rows => {
+      let models = Object.keys(model.sequelize.models || {}).map(name => model.sequelize.models[name]);
+      return rows.map(row => models.find(model => model.tableName === row.table)).filter(Boolean);
+    });
+  }
+
   /**
    * Search materialized view model using a search query string and an options object.
    * @param {Object} model the sequelize mode of the materialized view to search
    * @param {String} [query] the search query
    * @param {Object} [options]
+   * @param {String|Array<String>} [options.config] the text search configuration(s) to convert the query with. Defaults to the `config` option of the materialized view model, which should match the configuration(s) the materialized view was created with.
    * @param {Object} [options.where] filters to limit the results by. follows the format:
    * attribute: {
-   *   operator: ">, <, >=, =, ILIKE, etc.",
+   *   operator: ">, <, >=, =, ILIKE, CONTAINS, etc.",
    *   value: "Some Value"
    * }
    * @param {Object} [options.where.attribute] the name of the attribute to filter by
-   * @param {String} [options.where.attribute.operator] the Postgresql comparison operator to use. Ex. =, >, <, >=, <=, ILIKE, etc.
+   * @param {String} [options.where.attribute.operator] the Postgresql comparison operator to use. Ex. =, >, <, >=, <=, ILIKE, etc. The values of LIKE are patterns, and so are those of ILIKE in uppercase, while the values of `ilike` in lowercase are wrapped in %. CONTAINS matches the attributes that contain the value, ignoring case. @see {@link QueryGenerator#where}
    * @param {String|Number|Boolean} [options.where.attribute.value] the value to compare against.
+   * The where option can also be in Sequelize's where syntax, such as {$or: [{rating: {$gte: 8}}, {awards: {$gt: 0}}]}. @see {@link SearchModel#compileWhere}
    * @param {Array<String>} [options.attributes] An array of the attributes to return. Ex. ["name", "releaseDate", "rating"]
    * @param {Array<Array<String>>} [options.order] An array of arrays with the first value being the attribute name or value to order by and the second being the direction. Ex.
    * [
@@ -39,63 +283,795 @@ class SearchModel {
    *   ["releaseDate", "DESC"],
    *   ["rating", "DESC"]
    * ]
+   * @param {Object} [options.highlight] adds excerpts of the reference model's fields with the matching words highlighted to each result under `highlight`. Ex. result.highlight.title
+   * @param {Array<String>} [options.highlight.fields] the attributes of the reference model to highlight. Ex. ["title", "description"]
+   * @param {String} [options.highlight.startSel] the string to insert before the highlighted words. Defaults to "<b>"
+   * @param {String} [options.highlight.stopSel] the string to insert after the highlighted words. Defaults to "</b>"
+   * @param {Number} [options.highlight.maxWords] the longest excerpt to return. The other ts_headline options; minWords, shortWord, highlightAll, maxFragments, and fragmentDelimiter, are supported as well.
+   * @param {int} [options.limit] the maximum number of results to return
+   * @param {int} [options.offset] the number of results to skip
+   * @param {Boolean} [options.count] if true, the total number of matching results, regardless of the limit and offset, is returned with the results. @see {@link SearchModel#searchAndCount}
+   * @param {String} [options.after] the `nextCursor` of the previous page to return the results that come after it. Unlike the offset, it's not slowed down by deep pages and doesn't skip or repeat results when the materialized view is refreshed between pages.
+   * @param {Array<String>} [options.facets] attributes of the reference model to count the matching results by each of their values. @see {@link SearchModel#facets}
+   * @param {Array<String>} [options.fields] restricts the words of the query to the weights of these attributes of the document. Ex. ["title"]. Words can also be scoped to a field in the query. Ex. "title~chicago". @see {@link SearchModel#getWeights}
+   * @param {Boolean|String} [options.rank] if true, the relevance rank of each result is returned as its `_rank` attribute. If it's a string, the rank is returned as the attribute of that name. Ex. "score"
+   * @param {Object} [options.ranking] how the results are ranked. Its properties override those of the `ranking` option of the model.
+   * @param {String} [options.ranking.function="ts_rank"] "ts_rank" or "ts_rank_cd", which also considers how close the matching words are to each other.
+   * @param {Number|Array<Number>} [options.ranking.normalization] how the document's length affects its rank. An integer or an array of Postgres' normalization flags. Ex. [1, 32]
+   * @param {Array<Number>} [options.ranking.weights] the weights of the D, C, B, and A labeled words, in that order. Ex. [0.1, 0.2, 0.4, 1.0]
+   * @param {Array<Object>} [options.ranking.boosts] the ranks are multiplied by the boosts, which are computed from the values of the reference model's attributes. Ex. {attribute: "popularity", modifier: "log1p"} or {attribute: "releaseDate", decay: 0.5, scale: "365 days"}. @see {@link QueryGenerator.boost}
+   * @param {Object} [options.fuzzy] if the query matches nothing, the attributes of the reference model similar to the query are searched for instead, using pg_trgm. @see {@link QueryInterface#createTrigramIndexes}
+   * @param {Array<String>} [options.fuzzy.fields] the attributes of the reference model to compare the query to. Ex. ["title"]
+   * @param {Number} [options.fuzzy.threshold] the minimum similarity, from 0 to 1, of the results. It can only be higher than the `pg_trgm.similarity_threshold` setting, which defaults to 0.3.
+   * @param {Boolean} [options.fuzzy.suggestions=true] if false, corrections of the query's words aren't suggested.
+   * @param {Boolean} [options.raw=true] if false, instances of the reference model are returned instead of plain objects. @see {@link SearchModel#searchInstances}
+   * @param {Boolean} [options.dryRun] if true, the search query is returned instead of being run. @see {@link SearchModel#toSQL}
+   * @param {Boolean|String} [options.explain] if true, the plan of the search query is returned instead of its results. If "analyze", the query is run to get its actual times and row counts. @see {@link SearchModel#explain}
    * @return {Promise} An array of the search results' instances with the attributes specified in the options object, the `defaultScope` of the materialized view model, or all the attributes in the materialized view model definition.
+   * If a limit is passed, the array has a `nextCursor` property to pass as `options.after` to get the next page, which is null if there are no more results.
+   * If facets are passed, the array has a `facets` property with the counts of each facet.
+   * If fuzzy is passed, the array has a `suggestions` property with the corrections of the query's words if the query matched nothing. @see {@link SearchModel#suggestions}
+   * The promise is rejected with a SearchError if the options are invalid. @see {@link SearchModel#validate}
    */
   static search(model, query, options = {}) {
-    let referenceModel = model.referenceModel || model.options.referenceModel;
+    return Util.promise(() => {
+      // The weights of the fields are needed to restrict the words to them
+      if (SearchModel.isScoped(query, options) && !SearchModel.getWeights(model))
+        return SearchModel.loadWeights(model).then(() => SearchModel.search(model, query, options));
+      SearchModel.validate(model, options, query);
+      if (options.dryRun) return Promise.resolve(SearchModel.toSQL(model, query, options));
+      if (options.explain) return SearchModel.explain(model, query, options);
+      if (options.raw === false) return SearchModel.searchInstances(model, query, options);
+      // One more row than the limit is fetched to tell whether there's a next page. @see {@link SearchModel#paginate}
+      let pageOptions = options.limit >= 0 ? Object.assign({}, options, {limit: parseInt(options.limit, 10) + 1}) : options;
+      let results = SearchModel.run(model, SearchModel.buildQuery(model, query, pageOptions), options);
+
+      // If the full-text search matches nothing, search again by trigram similarity and suggest corrections of the query's words
+      let canBeFuzzy = !!(query && options.fuzzy && !Util.isEmptyObject(options.fuzzy.fields)), fuzzy = false;
+      if (canBeFuzzy) {
+        results = results.then(rows => {
+          if (rows.length > 0) return Object.assign(rows, {suggestions: []});
+          fuzzy = true;
+          return Promise.all([
+            SearchModel.run(model, SearchModel.buildQuery(model, query, pageOptions, true), options),
+            options.fuzzy.suggestions === false ? [] : SearchModel.suggestions(model, query)
+          ]).then(([rows, suggestions]) => Object.assign(rows, {suggestions}));
+        });
+      }
+
+      results = results.then(rows => SearchModel.paginate(rows, options));
+      if (options.count) results = results.then(rows => SearchModel.count(model, query, options, rows));
+      if (!Util.isEmptyObject(options.facets)) {
+        // The facets of a search that can fall back to the fuzzy search wait for the results, to count the same results as them
+        let facets = canBeFuzzy ? results.then(() => SearchModel.facets(model, query, options, fuzzy)) : SearchModel.facets(model, query, options);
+        results = Promise.all([results, facets]).then(([results, facets]) => {
+          results.facets = facets;
+          return results;
+        });
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Checks that the search options only name attributes of the reference model, and that the filters use supported operators and values.
+   * @param {Object} model the sequelize mode of the materialized view to search
+   * @param {Object} options the search options. @see {@link SearchModel#search}
+   * @param {String} [query] the search query, whose scoped fields must have weights
+   * @throws {UnknownAttributeError} if an attribute of where, order, attributes, highlight, facets, or fuzzy isn't an attribute of the reference model,
+   * or if a field that the search is restricted to has no weight in the documents
+   * @throws {InvalidOperatorError} if a filter's operator isn't one of the supported operators
+   * @throws {InvalidValueError} if a filter's value doesn't fit its operator, the limit or offset isn't a number, or a ranking option is invalid
+   */
+  static validate(model, options, query) {
+    let referenceModel = SearchModel.getReferenceModel(model);
+    let referenceAttributes = SequelizeAdapter.attributes(referenceModel);
+    let checkAttribute = (attr, option) => {
+      if (!Object.prototype.hasOwnProperty.call(referenceAttributes, attr))
+        throw new UnknownAttributeError(attr, referenceModel.name, option);
+    };
+
+    (options.attributes || []).filter(attr => attr !== 'document').forEach(attr => checkAttribute(attr, 'attributes'));
+    (options.order || []).forEach(field => checkAttribute(field[0], 'order'));
+    (options.facets || []).forEach(attr => checkAttribute(attr, 'facets'));
+    if (options.highlight) (options.highlight.fields || []).forEach(attr => checkAttribute(attr, 'highlight'));
+    if (options.fuzzy) (options.fuzzy.fields || []).forEach(attr => checkAttribute(attr, 'fuzzy'));
+
+    let checkFilter = (attr, filter) => {
+      if (filter.$and || filter.$or) return (filter.$and || filter.$or).forEach(filter => checkFilter(attr, filter));
+      let operator = String(filter.operator).toLowerCase();
+      let value = filter.value;
+      if (OPERATORS.indexOf(operator) < 0) throw new InvalidOperatorError(filter.operator, attr);
+      // Only the IS operators have no value. The others would compare the attribute to "undefined" or NULL, which matches nothing.
+      if ((value === undefined || value === null) && operator.indexOf('is ') !== 0) throw new InvalidValueError(attr, value, 'a value');
+      if ((operator === 'between' || operator === 'not between') && !(Array.isArray(value) && value.length === 2))
+        throw new InvalidValueError(attr, value, 'an array of the lower and upper bounds');
+      if ((operator === 'in' || operator === 'not in') && !Array.isArray(value))
+        throw new InvalidValueError(attr, value, 'an array');
+    };
+    let checkWhere = where => Object.keys(where).forEach(key => {
+      if (key === '$and' || key === '$or') where[key].forEach(checkWhere);
+      else if (key === '$not') checkWhere(where[key]);
+      else {
+        checkAttribute(key, 'where');
+        checkFilter(key, where[key]);
+      }
+    });
+    checkWhere(SearchModel.compileWhere(options.where));
+
+    let weights = SearchModel.getWeights(model);
+    if (options.fields !== undefined && !Array.isArray(options.fields))
+      throw new InvalidValueError('fields', options.fields, 'an array of attributes');
+    if (weights) {
+      (options.fields || []).forEach(field => {
+        if (!weights[field]) throw new UnknownAttributeError(field, model.name, 'fields');
+      });
+      TSQueryParser.fields(query).forEach(field => {
+        if (!weights[field]) throw new UnknownAttributeError(field, model.name, 'query');
+      });
+    }
 
-    // Convert query string to Postgres TSQuery
-    if (query) query = QueryGenerator.toTSQuery(query);
+    if (options.explain !== undefined && [true, false, 'analyze'].indexOf(options.explain) < 0)
+      throw new InvalidValueError('explain', options.explain, 'true or "analyze"');
+
+    SearchModel.validatePage(options);
+
+    let ranking = SearchModel.getRanking(model, options);
+    let isNumber = value => typeof value === 'number' && isFinite(value);
+    if (ranking.function !== undefined && QueryGenerator.RANK_FUNCTIONS.indexOf(ranking.function) < 0)
+      throw new InvalidValueError('ranking.function', ranking.function, 'one of ' + QueryGenerator.RANK_FUNCTIONS.join(', '));
+    if (ranking.normalization !== undefined && !(Number.isInteger(ranking.normalization) && ranking.normalization >= 0))
+      throw new InvalidValueError('ranking.normalization', ranking.normalization, 'a non-negative integer or an array of them');
+    if (ranking.weights !== undefined && !(Array.isArray(ranking.weights) && ranking.weights.length === 4 && ranking.weights.every(isNumber)))
+      throw new InvalidValueError('ranking.weights', ranking.weights, 'an array of the 4 numeric weights of D, C, B, and A');
+    (ranking.boosts || []).forEach(boost => {
+      checkAttribute(boost.attribute, 'ranking.boosts');
+      if (boost.modifier !== undefined && QueryGenerator.BOOST_MODIFIERS.indexOf(boost.modifier) < 0)
+        throw new InvalidValueError(boost.attribute, boost.modifier, 'one of ' + QueryGenerator.BOOST_MODIFIERS.join(', '));
+      ['factor', 'missing', 'decay'].forEach(key => {
+        if (boost[key] !== undefined && !isNumber(boost[key])) throw new InvalidValueError(boost.attribute, boost[key], 'a number');
+      });
+      if (boost.decay !== undefined && !isNumber(boost.scale) && typeof boost.scale !== 'string')
+        throw new InvalidValueError(boost.attribute, boost.scale, 'a number or an interval. Ex. "365 days"');
+      if (typeof boost.scale === 'number' && boost.origin !== undefined && !isNumber(boost.origin))
+        throw new InvalidValueError(boost.attribute, boost.origin, 'a number');
+    });
+  }
+
+  /**
+   * Checks the limit and the offset of a search
+   * @param {Object} options the search options
+   * @throws {InvalidValueError} if the limit or the offset isn't an integer
+   */
+  static validatePage(options) {
+    ['limit', 'offset'].forEach(option => {
+      if (options[option] !== undefined && options[option] !== null && isNaN(parseInt(options[option], 10)))
+        throw new InvalidValueError(option, options[option], 'an integer');
+    });
+  }
+
+  /**
+   * Searches several models with one UNION query and returns their results mixed together in the order of their rank.
+   * Each model is searched the same way as {@link SearchModel#search}, with the same query and ranking, but with its own text search configuration and filters.
+   * @param {Array<Object>} models the sequelize models to search. Each one can also be an object with the model and its options. Ex. [FilmMaterializedView, {model: ActorMaterializedView, weight: 0.5}]
+   * @param {Object} models.model the sequelize model to search
+   * @param {Array<String>} [models.attributes] the attributes of the model's results. @see {@link SearchModel#search}
+   * @param {Object} [models.where] the filters of the model's results. @see {@link SearchModel#search}
+   * @param {Number} [models.weight=1] the number to multiply the ranks of the model's results by
+   * @param {String} [query] the search query
+   * @param {Object} [options]
+   * @param {String|Array<String>} [options.config] the text search configuration(s) to convert the query with. Defaults to the `config` option of each model.
+   * @param {Object} [options.ranking] how the results are ranked. @see {@link SearchModel#search}
+   * @param {int} [options.limit] the maximum number of results to return
+   * @param {int} [options.offset] the number of results to skip
+   * @return {Promise<Array<Object>>} the results with the name of their model as their `_model` attribute and their rank as their `_rank` attribute.
+   * The promise is rejected with a SearchError if the limit or the offset, or the options of a model, are invalid. @see {@link SearchModel#validate}
+   */
+  static searchAll(models, query, options = {}) {
+    return Util.promise(() => {
+      SearchModel.validatePage(options);
+      if (models.length < 1) return Promise.resolve([]);
+      let sources = models.map(source => source.model ? source : {model: source});
+      let unloaded = sources.filter(source => !SearchModel.getWeights(source.model));
+      if (TSQueryParser.fields(query).length > 0 && unloaded.length > 0)
+        return Promise.all(unloaded.map(source => SearchModel.loadWeights(source.model))).then(() => SearchModel.searchAll(models, query, options));
+      let queryGenerator = new QueryGenerator();
+      // Queries without any words to search for don't rank the results
+      let hasRank = !!(query && TSQueryParser.parse(query));
+
+      // Each model's results are selected with its name, its weighted rank, its primary key, and the rest of its attributes as JSON, so that the results of all of them have the same columns.
+      // The primary keys are converted to jsonb, which can be compared whatever their types are, to order the results with the same rank and model.
+      // Since each model's ranks are in the same order as its weighted ranks, only the model's top limit + offset results can be among the returned results.
+      let subqueries = sources.map(source => {
+        let searchOptions = {attributes: source.attributes, where: source.where, config: options.config, ranking: options.ranking, rank: true};
+        if (options.limit >= 0) searchOptions.limit = parseInt(options.limit, 10) + (parseInt(options.offset, 10) || 0);
+        SearchModel.validate(source.model, searchOptions, query);
+        let weight = source.weight !== undefined ? source.weight : 1;
+        if (typeof weight !== 'number' || !isFinite(weight)) throw new InvalidValueError('weight', weight, 'a number');
+
+        let search = SearchModel.buildQuery(source.model, query, searchOptions, false, queryGenerator);
+        return new QueryGenerator(queryGenerator)
+          .from(search, 'search')
+          .select({
+            [MODEL_ALIAS]: {raw: QueryGenerator.literal(source.model.name), as: MODEL_ALIAS},
+            [RANK_ALIAS]: {raw: hasRank ? String(weight) + ' * ' + QueryGenerator.col(RANK_ALIAS, 'search') : '0::float8', as: RANK_ALIAS},
+            [KEY_ALIAS]: {raw: 'to_jsonb(' + QueryGenerator.col(KEY_ALIAS, 'search') + ')', as: KEY_ALIAS},
+            attributes: {raw: 'to_json("search")', as: 'attributes'}
+          });
+      });
+
+      queryGenerator
+        .from(subqueries, 'results')
+        .select({[MODEL_ALIAS]: {model: 'results'}, [RANK_ALIAS]: {model: 'results'}, attributes: {model: 'results'}})
+        .orderBy([
+          [QueryGenerator.col(RANK_ALIAS, 'results'), 'DESC'],
+          [QueryGenerator.col(MODEL_ALIAS, 'results'), 'ASC'],
+          [QueryGenerator.col(KEY_ALIAS, 'results'), 'ASC']
+        ])
+        .limit(options.limit)
+        .offset(options.offset);
+
+      let sequelize = sources[0].model.sequelize;
+      return sequelize.query(queryGenerator.getQuery(), {type: sequelize.QueryTypes.SELECT, bind: queryGenerator.getBind()})
+        .then(rows => rows.map(row => {
+          // The rank, the primary key, and the values of the order by keys are selected by each model's search query
+          let attributes = {};
+          Object.keys(row.attributes).filter(key => key !== RANK_ALIAS && key !== KEY_ALIAS && key.indexOf(CURSOR_ALIAS) !== 0)
+            .forEach(key => attributes[key] = row.attributes[key]);
+          return Object.assign(attributes, {[MODEL_ALIAS]: row[MODEL_ALIAS], [RANK_ALIAS]: row[RANK_ALIAS]});
+        }));
+    });
+  }
+
+  /**
+   * Builds the search query without running it. The facets, the fuzzy search, and the instances of raw: false are queried separately, so they aren't part of it.
+   * @param {Object} model the sequelize mode of the materialized view to search
+   * @param {String} [query] the search query
+   * @param {Object} [options] @see {@link SearchModel#search}
+   * @return {Object} the SQL of the query and the values of its bind parameters. Ex. {sql: "SELECT ...", bind: ["'mind':*"]}
+   * @throws {SearchError} if the options are invalid. @see {@link SearchModel#validate}
+   * @throws {Error} if the search is restricted to fields but the weights of the model aren't loaded. @see {@link SearchModel#loadWeights}
+   */
+  static toSQL(model, query, options = {}) {
+    if (SearchModel.isScoped(query, options) && !SearchModel.getWeights(model))
+      throw new Error(`The weights of the fields of ${model.name} aren't loaded. Call ${model.name}.loadWeights() first or set the weights option of the model`);
+    SearchModel.validate(model, options, query);
+    let queryGenerator = SearchModel.buildQuery(model, query, options);
+    return {sql: queryGenerator.getQuery(), bind: queryGenerator.getBind()};
+  }
+
+  /**
+   * Gets the Postgres plan of the search query. @see {@link SearchModel#toSQL}
+   * @param {Object} model the sequelize mode of the materialized view to search
+   * @param {String} [query] the search query
+   * @param {Object} options @see {@link SearchModel#search}
+   * @param {Boolean|String} options.explain if "analyze", the query is run to get the actual times and row counts of the plan.
+   * @return {Promise<Object>} the SQL of the query, the values of its bind parameters, and the text of its plan. Ex. {sql: "SELECT ...", bind: ["'mind':*"], plan: "Sort ..."}
+   */
+  static explain(model, query, options) {
+    let {sql, bind} = SearchModel.toSQL(model, query, options);
+    let explain = 'EXPLAIN ' + (options.explain === 'analyze' ? '(ANALYZE, BUFFERS) ' : '') + sql;
+    return model.sequelize.query(explain, {type: model.sequelize.QueryTypes.SELECT, bind})
+      .then(rows => ({sql, bind, plan: rows.map(row => row['QUERY PLAN']).join('\n')}));
+  }
+
+  /**
+   * Runs the search query
+   * @param {Object} model the sequelize mode of the materialized view to search
+   * @param {QueryGenerator} queryGenerator the search query. @see {@link SearchModel#buildQuery}
+   * @param {Object} options the search options
+   * @return {Promise<Array<Object>>} the results
+   */
+  static run(model, queryGenerator, options) {
+    // All the values of the query are passed as bind parameters
+    // The highlights are selected as "highlight.attribute", which `nest` turns into a highlight object
+    let queryOptions = {type: model.sequelize.QueryTypes.SELECT, bind: queryGenerator.getBind(), nest: !!options.highlight};
+    return model.sequelize.query(queryGenerator.getQuery(), queryOptions);
+  }
+
+  /**
+   * Suggests corrections of the query's words from the lexemes of the model's vocabulary, using trigram similarity. @see {@link QueryInterface#createVocabulary}
+   * Without a vocabulary, no corrections are suggested, since finding them would scan all the documents on every search.
+   * @param {Object} model the sequelize mode of the materialized view
+   * @param {String} query the search query
+   * @return {Promise<Array<Object>>} the misspelled words and their suggested corrections. Ex. [{term: "Incepshun", suggestion: "incept"}]
+   */
+  static suggestions(model, query) {
+    let vocabulary = SearchModel.getVocabulary(model);
+    let terms = TSQueryParser.words(query);
+    if (!vocabulary || terms.length < 1) return Promise.resolve([]);
+    return QueryGenerator.similarLexemes(model, vocabulary, terms.map(term => term.toLowerCase())).then(lexemes => terms
+      .map(term => ({term, suggestion: lexemes[term.toLowerCase()]}))
+      .filter(suggestion => suggestion.suggestion && suggestion.suggestion !== suggestion.term.toLowerCase()));
+  }
+
+  /**
+   * Search materialized view model and return instances of the reference model, in the order of the search results, instead of plain objects.
+   * The relevance rank of each instance is set as its `_rank` data value, and the highlights, if any, as its `highlight` data value.
+   * @param {Object} model the sequelize mode of the materialized view to search
+   * @param {String} [query] the search query
+   * @param {Object} [options] the options of {@link SearchModel#search}, except that:
+   * @param {Array<String>} [options.attributes] the attributes of the reference model to load. Defaults to all of them.
+   * @param {Array<Object>} [options.include] the associations to eager load, in the format of sequelize's findAll include option.
+   * @param {Object} [options.transaction] the transaction to load the instances in
+   * @return {Promise} the reference model instances. If the count option is passed, an object with the instances as its rows.
+   * It's rejected with an UnknownAttributeError if an attribute isn't an attribute of the reference model, and with the errors of {@link SearchModel#search}.
+   */
+  static searchInstances(model, query, options = {}) {
+    let referenceModel = SearchModel.getReferenceModel(model);
+    let primaryKey = referenceModel.primaryKeyAttribute;
+    let rankAlias = typeof options.rank === 'string' ? options.rank : RANK_ALIAS;
+    let searchOptions = Object.assign({}, options, {attributes: [primaryKey], rank: rankAlias, raw: true});
+
+    // The search only selects the primary key, so the attributes to load are checked before they're swapped for it
+    let referenceAttributes = SequelizeAdapter.attributes(referenceModel);
+    let unknown = (options.attributes || []).find(attr => !Object.prototype.hasOwnProperty.call(referenceAttributes, attr));
+    if (unknown !== undefined) return Promise.reject(new UnknownAttributeError(unknown, referenceModel.name, 'attributes'));
+
+    return SearchModel.search(model, query, searchOptions).then(results => {
+      let rows = Array.isArray(results) ? results : results.rows;
+      let findOptions = {
+        where: {[primaryKey]: rows.map(row => row[primaryKey])},
+        include: options.include,
+        transaction: options.transaction
+      };
+      if (!Util.isEmptyObject(options.attributes)) findOptions.attributes = Array.from(new Set([primaryKey].concat(options.attributes)));
+
+      return (rows.length > 0 ? referenceModel.findAll(findOptions) : Promise.resolve([])).then(found => {
+        let instancesById = new Map(found.map(instance => [String(instance.get(primaryKey)), instance]));
+        // Instances that were deleted after the materialized view was last refreshed are skipped
+        let instances = rows.filter(row => instancesById.has(String(row[primaryKey]))).map(row => {
+          let instance = instancesById.get(String(row[primaryKey]));
+          instance.setDataValue(rankAlias, row[rankAlias]);
+          if (row.highlight) instance.setDataValue('highlight', row.highlight);
+          return instance;
+        });
+        instances.nextCursor = rows.nextCursor;
+        instances.facets = rows.facets;
+        instances.suggestions = rows.suggestions;
+        if (Array.isArray(results)) return instances;
+        return Object.assign({}, results, {rows: instances});
+      });
+    });
+  }
+
+  /**
+   * Search materialized view model and count the total number of matching results, regardless of the limit and offset.
+   * The count is computed with a window function in the same query as the results, or with a subquery if the results are after a cursor.
+   * @param {Object} model the sequelize mode of the materialized view to search
+   * @param {String} [query] the search query
+   * @param {Object} [options] @see {@link SearchModel#search}
+   * @return {Promise<Object>} the results and total count. Ex. {rows: [...], count: 42}
+   */
+  static searchAndCount(model, query, options = {}) {
+    return SearchModel.search(model, query, Object.assign({}, options, {count: true}));
+  }
+
+  /**
+   * Takes the count selected by the window function out of the results.
+   * If the offset or the cursor skipped all the matching results, there is no row to read the count from, so the first result is fetched to get it.
+   * @param {Object} model the sequelize mode of the materialized view to search
+   * @param {String} query the search query
+   * @param {Object} options the search options
+   * @param {Array<Object>} rows the results of the search
+   * @return {Promise<Object>|Object} the results and total count
+   */
+  static count(model, query, options, rows) {
+    if (rows.length < 1 && (options.offset > 0 || options.after))
+      return SearchModel.search(model, query, Object.assign({}, options, {offset: 0, limit: 1, after: undefined}))
+        .then(firstPage => ({rows, count: firstPage.count, nextCursor: rows.nextCursor, suggestions: rows.suggestions}));
+
+    let count = rows.length > 0 ? parseInt(rows[0][COUNT_ALIAS], 10) : 0;
+    rows.forEach(row => delete row[COUNT_ALIAS]);
+    return {rows, count, nextCursor: rows.nextCursor, suggestions: rows.suggestions};
+  }
+
+  /**
+   * Builds the search query. @see {@link SearchModel#search} for the arguments.
+   * @param {Object} model the sequelize mode of the materialized view to search
+   * @param {String} [query] the search query
+   * @param {Object} [options]
+   * @param {Boolean} [fuzzy] if true, the fuzzy fields are matched by trigram similarity instead of matching the document against the query.
+   * @param {QueryGenerator} [parent] the query that the search query is a subquery of. The primary key is selected as well, to break the ties between the results. @see {@link SearchModel#searchAll}
+   * @return {QueryGenerator} the query generator with the search query and its bind parameters
+   */
+  static buildQuery(model, query, options = {}, fuzzy = false, parent) {
+    let referenceModel = SearchModel.getReferenceModel(model);
+    let referenceAttributes = SequelizeAdapter.attributes(referenceModel);
+    let searchColumn = SearchModel.getSearchColumn(model);
+    let config = options.config || model.options.config;
+
+    // Convert query string to Postgres TSQuery. Queries without any words to search for are ignored.
+    let text = query;
+    query = query ? QueryGenerator.toTSQuery(query, config, SearchModel.getLabels(model, query, options)) : null;
 
     // Get the attributes from options.attributes or model's search scope attributes, or the model's default scope's attributes, or all the model's attributes
     let attributes = [];
     if (!Util.isEmptyObject(options.attributes)) attributes = options.attributes;
-    else if (!Util.isEmptyObject(model.options.scopes.search)) attributes = model.options.scopes.search.attributes;
-    else if (!Util.isEmptyObject(model.options.defaultScope)) attributes = model.options.defaultScope.attributes;
-    else attributes = Object.keys(model.attributes);
+    else if (!Util.isEmptyObject(SequelizeAdapter.scope(model, 'search'))) attributes = SequelizeAdapter.scope(model, 'search').attributes;
+    else if (!Util.isEmptyObject(SequelizeAdapter.scope(model, 'defaultScope'))) attributes = SequelizeAdapter.scope(model, 'defaultScope').attributes;
+    else attributes = Object.keys(SequelizeAdapter.attributes(model));
 
     // Loop over the attributes to get their field names and assign the reference model to them. The fields object gets passed to the `select` clause of the query.
     let fields = {};
     attributes.forEach(attr => {
-      if (attr !== 'document') fields[referenceModel.attributes[attr].field] = {
+      if (attr !== 'document' && referenceAttributes[attr].field !== searchColumn) fields[referenceAttributes[attr].field] = {
         model: referenceModel,
         as: attr
       }
     });
 
-    // Set the where clause of the query from the query string and options.where.
-    // Assign the reference model as the model to each options.where attribute
-    let where = options.where || {};
-    Object.keys(where).forEach(attr => where[attr].model = referenceModel);
-    if (query) where.document = {operator: '@@', value: query};
+    // Highlight the requested fields with the same tsquery used for matching. ts_headline only takes one text search configuration, so the first one is used.
+    if (query && options.highlight && !Util.isEmptyObject(options.highlight.fields)) {
+      options.highlight.fields.forEach(attr => {
+        let field = QueryGenerator.col(referenceAttributes[attr].field, referenceModel);
+        if (!SearchModel.isTextAttribute(referenceAttributes[attr])) field = QueryGenerator.cast(field);
+        fields['highlight.' + attr] = {
+          raw: QueryGenerator.tsHeadline(field, query, options.highlight, [].concat(config || [])[0]),
+          as: 'highlight.' + attr
+        };
+      });
+    }
+
+    // Count all the matching rows before the limit and offset are applied
+    if (options.count) fields[COUNT_ALIAS] = {raw: 'count(*) OVER ()', as: COUNT_ALIAS};
+
+    let where = SearchModel.buildWhere(model, fuzzy ? null : query, options.where);
 
     // Set the orderBy based on relevance (using Postgresql's tsRank) if no options.order is provided.
     // Change the first value of the array from attribute name to field name.
-    let orderBy = options.order || [];
-    orderBy.forEach(field => field[0] = QueryGenerator.col(referenceModel.attributes[field[0]].field, referenceModel));
-    if (query && Util.isEmptyObject(options.order)) orderBy.unshift([QueryGenerator.tsRank(QueryGenerator.col('document', model), query), 'DESC']);
-
-    query = new QueryGenerator()
-      .from(model)
-      .select(fields)
-      .leftOuterJoin(referenceModel, model)
-      .where(where)
+    // Only ASC and DESC are allowed as directions since they're concatenated into the query.
+    let orderBy = (options.order || []).map(field => [
+      QueryGenerator.col(referenceAttributes[field[0]].field, referenceModel),
+      String(field[1]).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'
+    ]);
+    let ranking = SearchModel.getRanking(model, options);
+    let rank = query ? QueryGenerator.tsRank(QueryGenerator.col(searchColumn, model), query, ranking) : null;
+    let fuzzyFields, fuzzyText;
+    if (query && fuzzy) {
+      // Fuzzy results are ranked by how similar they are to the query's words
+      ({fields: fuzzyFields, text: fuzzyText} = SearchModel.fuzzyMatch(model, text, options));
+      rank = QueryGenerator.similarity(fuzzyFields, fuzzyText);
+    }
+    if (rank && ranking.boosts) rank = QueryGenerator.multiply(rank, ...ranking.boosts.map(boost =>
+      QueryGenerator.boost(QueryGenerator.col(referenceAttributes[boost.attribute].field, referenceModel), boost)));
+    if (rank && Util.isEmptyObject(options.order)) orderBy.unshift([rank, 'DESC']);
+    // ts_rank returns a real, which loses precision when it's converted to text, so it's selected as double precision
+    if (rank && options.rank) {
+      let rankAlias = typeof options.rank === 'string' ? options.rank : RANK_ALIAS;
+      fields[rankAlias] = {raw: QueryGenerator.toFloat8(rank), as: rankAlias};
+    }
+
+    // Paginated results are also ordered by the primary key so that every row has a unique position to continue from.
+    // The values of the order by keys are selected to build the cursor of the next page from the last row.
+    let paginate = options.limit >= 0 || options.after;
+    if (paginate) {
+      orderBy.push([QueryGenerator.col(referenceModel.primaryKeyField, referenceModel), 'ASC']);
+      orderBy.forEach((field, i) => fields[CURSOR_ALIAS + i] = {
+        raw: field[0] === rank ? QueryGenerator.toFloat8(rank) : field[0],
+        as: CURSOR_ALIAS + i
+      });
+    }
+
+    // Joins the reference model and adds the conditions of the matching rows
+    let match = queryGenerator => {
+      if (referenceModel !== model) queryGenerator.leftOuterJoin(referenceModel, model);
+      queryGenerator.where(where);
+      if (fuzzyFields) queryGenerator.similar(fuzzyFields, fuzzyText, options.fuzzy.threshold);
+      return queryGenerator;
+    };
+    if (parent) fields[KEY_ALIAS] = {raw: QueryGenerator.col(referenceModel.primaryKeyField, referenceModel), as: KEY_ALIAS};
+
+    let queryGenerator = new QueryGenerator(parent).from(model);
+    // The cursor's condition excludes the rows of the previous pages before the window function counts the rows,
+    // so the count of a page after a cursor is selected by a subquery of all the matching rows instead
+    if (options.count && options.after) {
+      let counter = new QueryGenerator(queryGenerator).from(model).select({count: {raw: 'count(*)', as: 'count'}});
+      fields[COUNT_ALIAS] = {raw: '(' + match(counter).getSubquery() + ')', as: COUNT_ALIAS};
+    }
+    match(queryGenerator.select(fields));
+    if (options.after) queryGenerator.after(orderBy, SearchModel.decodeCursor(options.after, orderBy.length));
+    return queryGenerator
       .orderBy(orderBy)
       .limit(options.limit)
-      .offset(options.offset)
-      .getQuery();
+      .offset(options.offset);
+  }
 
-    let queryOptions = {type: model.sequelize.QueryTypes.SELECT};
-    return model.sequelize.query(query, queryOptions);
+  /**
+   * Gets the fields and the text that the fuzzy search matches by trigram similarity instead of matching the document against the query.
+   * @param {Object} model the sequelize model to search
+   * @param {String} query the search query, whose words are matched
+   * @param {Object} options the search options, with the `fuzzy` option. @see {@link SearchModel#search}
+   * @return {Object} the fuzzy fields, cast to text, and the bound text of the query's words. Ex. {fields: ['"film"."title"'], text: Bind}
+   */
+  static fuzzyMatch(model, query, options) {
+    let referenceModel = SearchModel.getReferenceModel(model);
+    let referenceAttributes = SequelizeAdapter.attributes(referenceModel);
+    let fields = options.fuzzy.fields.map(attr => {
+      let field = QueryGenerator.col(referenceAttributes[attr].field, referenceModel);
+      return SearchModel.isTextAttribute(referenceAttributes[attr]) ? field : QueryGenerator.cast(field);
+    });
+    return {fields, text: QueryGenerator.bind(TSQueryParser.words(query).join(' '))};
+  }
+
+  /**
+   * Gets the ranking options of the search, which override the `ranking` option of the model.
+   * The normalization flags are combined into one integer.
+   * @param {Object} model the sequelize model to search
+   * @param {Object} options the search options. @see {@link SearchModel#search}
+   * @return {Object} the ranking options
+   */
+  static getRanking(model, options) {
+    let ranking = Object.assign({}, model.options.ranking, options.ranking);
+    if (Array.isArray(ranking.normalization)) ranking.normalization = ranking.normalization.reduce((flags, flag) => flags | flag, 0);
+    return ranking;
+  }
+
+  /**
+   * Builds the where clause of the query from the tsquery and options.where.
+   * @param {Object} model the sequelize model to search
+   * @param {Fn|null} tsQuery the tsquery to match the document against
+   * @param {Object} [optionsWhere] the where option of the search. @see {@link SearchModel#search}
+   * @return {Object} the attributes to pass to QueryGenerator.where
+   */
+  static buildWhere(model, tsQuery, optionsWhere) {
+    let referenceModel = SearchModel.getReferenceModel(model);
+    // Assign the reference model as the model to each filter of options.where.
+    // The values of the ILIKE operators that aren't in lowercase are patterns, which are matched as they are. @see {@link QueryGenerator#where}
+    let assignModel = filter => {
+      if (filter.$and || filter.$or) return {[filter.$and ? '$and' : '$or']: (filter.$and || filter.$or).map(assignModel)};
+      let operator = String(filter.operator);
+      return Object.assign({}, filter, {model: referenceModel, operator: operator.toLowerCase(), pattern: filter.pattern || operator !== operator.toLowerCase()});
+    };
+    let assign = where => {
+      let assigned = {};
+      Object.keys(where).forEach(key => {
+        if (key === '$and' || key === '$or') assigned[key] = where[key].map(assign);
+        else if (key === '$not') assigned[key] = assign(where[key]);
+        else assigned[key] = assignModel(where[key]);
+      });
+      return assigned;
+    };
+    let where = assign(SearchModel.compileWhere(optionsWhere));
+    if (tsQuery) where.document = {operator: '@@', value: tsQuery, field: SearchModel.getSearchColumn(model)};
+    return where;
+  }
+
+  /**
+   * Compiles Sequelize's where syntax into the filters of QueryGenerator.where. The operators can be the `$` strings, such as `$gte`, or the `Op` symbols of Sequelize 4 and later, such as `Op.gte`.
+   * - {rating: 8} - equal to the value, or {rating: null} - IS NULL
+   * - {rating: [7, 8]} - IN the values
+   * - {rating: {$gte: 7, $lte: 9}} - the operators of an attribute are ANDed together. @see WHERE_OPERATORS
+   * - {rating: {$not: 8}} - not equal to the value. `$is` and `$not` with null, true, or false are IS and IS NOT; e.g. {watched: {$not: true}} is IS NOT TRUE, which also matches null.
+   * - {rating: {$or: [{$lt: 3}, {$gt: 8}]}} - any of the filters of an attribute
+   * - {$or: [{rating: {$gte: 8}}, {awards: {$gt: 0}}]} - any of the filters. `$and` and `$or` also take an object, whose attributes are each a filter. Ex. {$or: {rating: 8, awards: 1}}
+   * - {$not: {rating: 8}} - none of the filters
+   * The filters in the format of {attribute: {operator, value}} are kept as they are.
+   * @param {Object} [where] the where option of the search
+   * @return {Object} the filters by their attributes, and the `$and`, `$or`, and `$not` groups of filters. @see {@link QueryGenerator#where}
+   * @throws {InvalidOperatorError} if an operator isn't one of the supported operators
+   * @throws {InvalidValueError} if a group isn't an array or an object, or `$is` isn't null, true, or false
+   */
+  static compileWhere(where) {
+    let compiled = {};
+    SearchModel.whereEntries(where || {}).forEach(([key, value]) => {
+      if (key === '$and' || key === '$or') value = SearchModel.whereGroup(key, value).map(SearchModel.compileWhere);
+      else if (key === '$not') value = SearchModel.compileWhere(value);
+      else value = SearchModel.compileFilter(key, value);
+
+      // A group can be both a string and a symbol. Ex. {$or: [...], [Op.or]: [...]}
+      if (compiled[key] === undefined) compiled[key] = value;
+      else if (key === '$and') compiled.$and = compiled.$and.concat(value);
+      else compiled.$and = (compiled.$and || []).concat({[key]: value});
+    });
+    return compiled;
+  }
+
+  /**
+   * Compiles the value of an attribute in Sequelize's where syntax into a filter. @see {@link SearchModel#compileWhere}
+   * @param {String} attr the attribute
+   * @param {*} value the value of the attribute in the where option
+   * @return {Object} the operator and the value of the filter, or `$and` or `$or` of several filters
+   */
+  static compileFilter(attr, value) {
+    if (value === null) return {operator: 'is null'};
+    if (Array.isArray(value)) return {operator: 'in', value};
+    if (Object.prototype.toString.call(value) !== '[object Object]') return {operator: '=', value};
+    if (Object.prototype.hasOwnProperty.call(value, 'operator')) return value;
+
+    let filters = SearchModel.whereEntries(value).map(([operator, operand]) => {
+      if (operator === '$and' || operator === '$or')
+        return {[operator]: SearchModel.whereGroup(operator, operand).map(filter => SearchModel.compileFilter(attr, filter))};
+      if (operator === '$is' || operator === '$not') {
+        if (operand === null || typeof operand === 'boolean') return {operator: (operator === '$is' ? 'is ' : 'is not ') + String(operand)};
+        if (operator === '$is') throw new InvalidValueError(attr, operand, 'null, true, or false with $is');
+        return {operator: '!=', value: operand};
+      }
+      if (!WHERE_OPERATORS[operator]) throw new InvalidOperatorError(operator, attr);
+      if (operand === null && (operator === '$eq' || operator === '$ne')) return {operator: operator === '$eq' ? 'is null' : 'is not null'};
+      // Sequelize's ILIKE values are patterns
+      return {operator: WHERE_OPERATORS[operator], value: operand, pattern: operator === '$iLike' || operator === '$notILike'};
+    });
+    return filters.length === 1 ? filters[0] : {$and: filters};
+  }
+
+  /**
+   * Gets the keys and values of an object in Sequelize's where syntax, including the `Op` symbols, which are named like the `$` strings. Ex. Op.gte is "$gte"
+   * @param {Object} where the object
+   * @return {Array<Array>} the keys and the values
+   */
+  static whereEntries(where) {
+    return Object.keys(where).map(key => [key, where[key]])
+      .concat(Object.getOwnPropertySymbols(where).map(symbol => ['$' + (Symbol.keyFor(symbol) || String(symbol)), where[symbol]]));
+  }
+
+  /**
+   * Gets the items of an `$and` or `$or` group. An object is a group of each of its keys.
+   * @param {String} key the group. Ex. "$or"
+   * @param {Array|Object} value the items of the group
+   * @return {Array<Object>} the items
+   * @throws {InvalidValueError} if the group isn't an array or an object
+   */
+  static whereGroup(key, value) {
+    if (Array.isArray(value)) return value;
+    if (Object.prototype.toString.call(value) !== '[object Object]') throw new InvalidValueError(key, value, 'an array or an object');
+    return SearchModel.whereEntries(value).map(([entryKey, entryValue]) => ({[entryKey]: entryValue}));
+  }
+
+  /**
+   * Counts the matching results grouped by the values of each of the facet attributes.
+   * Each facet is counted with all the filters except its own, so that selecting one of its values doesn't hide the others. @see {@link SearchModel#withoutFilter}
+   * @param {Object} model the sequelize mode of the materialized view to search
+   * @param {String} [query] the search query
+   * @param {Object} options the search options. @see {@link SearchModel#search}
+   * @param {Boolean} [fuzzy] if true, the results of the fuzzy search are counted, which match the fuzzy fields by trigram similarity instead of matching the document against the query.
+   * @return {Promise<Object>} the values of each facet attribute and their counts, in descending order of the count. Ex. {rating: [{value: 8, count: 22}]}
+   */
+  static facets(model, query, options, fuzzy = false) {
+    let referenceModel = SearchModel.getReferenceModel(model);
+    let referenceAttributes = SequelizeAdapter.attributes(referenceModel);
+    let facets = {};
+    return Promise.all(options.facets.map(attr => {
+      let field = QueryGenerator.col(referenceAttributes[attr].field, referenceModel);
+      let tsQuery = query && !fuzzy ? QueryGenerator.toTSQuery(query, options.config || model.options.config, SearchModel.getLabels(model, query, options)) : null;
+      let optionsWhere = SearchModel.withoutFilter(SearchModel.compileWhere(options.where), attr);
+
+      let queryGenerator = new QueryGenerator()
+        .from(model)
+        .select({value: {raw: field, as: 'value'}, count: {raw: 'count(*)', as: 'count'}});
+      if (referenceModel !== model) queryGenerator.leftOuterJoin(referenceModel, model);
+      queryGenerator
+        .where(SearchModel.buildWhere(model, tsQuery, optionsWhere));
+      if (query && fuzzy) {
+        let match = SearchModel.fuzzyMatch(model, query, options);
+        queryGenerator.similar(match.fields, match.text, options.fuzzy.threshold);
+      }
+      queryGenerator
+        .groupBy(field)
+        .orderBy([['count(*)', 'DESC'], [field, 'ASC']]);
+
+      let queryOptions = {type: model.sequelize.QueryTypes.SELECT, bind: queryGenerator.getBind()};
+      return model.sequelize.query(queryGenerator.getQuery(), queryOptions)
+        .then(rows => facets[attr] = rows.map(row => ({value: row.value, count: parseInt(row.count, 10)})));
+    })).then(() => facets);
+  }
+
+  /**
+   * Removes the filters by an attribute from the compiled where option, including the ones in its `$and`, `$or`, and `$not` groups.
+   * A removed filter no longer limits the results, so a `$or` group that lost all the filters of one of its items is removed as a whole, since that item would match every row,
+   * and the `$and` items and `$not` groups left without filters are removed.
+   * @param {Object} where the filters. @see {@link SearchModel#compileWhere}
+   * @param {String} attr the attribute whose filters are removed
+   * @return {Object} the other filters
+   */
+  static withoutFilter(where, attr) {
+    let filtered = {};
+    Object.keys(where).filter(key => key !== attr).forEach(key => {
+      if (key === '$and' || key === '$or') {
+        let groups = where[key].map(group => SearchModel.withoutFilter(group, attr));
+        let emptied = groups.filter((group, i) => Util.isEmptyObject(group) && !Util.isEmptyObject(where[key][i]));
+        if (key === '$or' && emptied.length > 0) return;
+        if (key === '$and') groups = groups.filter(group => !Util.isEmptyObject(group));
+        if (groups.length > 0) filtered[key] = groups;
+      } else if (key === '$not') {
+        let group = SearchModel.withoutFilter(where.$not, attr);
+        if (!Util.isEmptyObject(group)) filtered.$not = group;
+      } else filtered[key] = where[key];
+    });
+    return filtered;
+  }
+
+  /**
+   * Takes the values of the order by keys out of the results and builds the cursor of the next page from the last row of the page.
+   * The search fetches one more row than the limit, which is dropped here. The cursor is only built if that row exists, so it's null if there are no more results.
+   * The cursor is set as the `nextCursor` property of the results array.
+   * @param {Array<Object>} rows the results of the search, with the row after the page if there is one
+   * @param {Object} options the search options
+   * @return {Array<Object>} the results of the page
+   */
+  static paginate(rows, options) {
+    let limit = parseInt(options.limit, 10);
+    let hasNext = limit >= 0 && rows.length > limit;
+    if (hasNext) rows.splice(limit);
+    let cursors = rows.map(row => Object.keys(row).filter(key => key.indexOf(CURSOR_ALIAS) === 0).map(key => {
+      let value = row[key];
+      delete row[key];
+      return value;
+    }));
+    rows.nextCursor = hasNext && rows.length > 0 ? SearchModel.encodeCursor(cursors[cursors.length - 1]) : null;
+    return rows;
+  }
+
+  /**
+   * Encodes the values of the order by keys into an opaque cursor
+   * @param {Array} values the values of the order by keys of a row
+   * @return {String} the cursor
+   */
+  static encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64');
+  }
+
+  /**
+   * Decodes a cursor created by {@link SearchModel#encodeCursor}
+   * @param {String} cursor the cursor
+   * @param {int} length the number of order by keys the cursor must have values for
+   * @return {Array} the values of the order by keys
+   * @throws {InvalidValueError} if the cursor isn't a cursor of a search with the same number of order by keys
+   */
+  static decodeCursor(cursor, length) {
+    let values;
+    try {
+      values = JSON.parse(Buffer.from(String(cursor), 'base64').toString());
+    } catch (err) {
+      values = null;
+    }
+    if (!Array.isArray(values) || values.length !== length)
+      throw new InvalidValueError('after', cursor, 'the nextCursor of a search with the same order');
+    return values;
+  }
+
+  /**
+   * Search materialized view model using a text query that has the filters, order, limit, and offset in it. @see {@link SearchModel#parseQuery}
+   * @param {Object} model the sequelize mode of the materialized view to search
+   * @param {String} [query] the text query
+   * @param {Object} [options] options to pass to the SearchModel.search method, such as `highlight`.
+   * The filters in the text query are added to options.where, and the order, limit, offset, and fields in the text query take precedence over those in the options.
+   * @return {Promise} @see {@link SearchModel#search}. The promise is rejected with a SearchError if the filters, order, limit, or offset in the text query, or the options are invalid.
+   */
+  static searchByText(model, query, options = {}) {
+    return Util.promise(() => {
+      let [text, textOptions] = SearchModel.parseQuery(query);
+      return SearchModel.search(model, text, Object.assign({}, options, {
+        where: Object.assign({}, options.where, textOptions.where),
+        order: textOptions.order.length > 0 ? textOptions.order : options.order,
+        limit: textOptions.limit >= 0 ? textOptions.limit : options.limit,
+        offset: textOptions.offset > 0 ? textOptions.offset : options.offset,
+        fields: textOptions.fields || options.fields
+      }));
+    });
+  }
+
+  /**
+   * Checks if the attribute is of a text type; i.e. String, Char, or Text.
+   * @param {Object} attribute the attribute definition of the model
+   * @return {boolean} true if the attribute is text
+   */
+  static isTextAttribute(attribute) {
+    return SequelizeAdapter.isTextAttribute(attribute);
   }
 
   /**
    * Parses the query string for the SearchModel.search method by assigning:
    * query - the remaining part of the query string after removing the filters and order values.
-   * options.where - the attribute names that are followed by a colon and some value. If no comparison operator is passed after the colon, Postresql's ILIKE is used. Ex. "some query attribute_x:some query attribute_y:>25
+   * options.where - the attribute names that are followed by a colon and some value. The value ends where the next attribute name starts, unless it's quoted. @see {@link SearchModel#parseFilter}
+   * Ex. "some query attribute_x:some query attribute_y:>25 attribute_z:"quoted: value" more query"
+   * A filter prefixed by a minus sign is negated. Ex. "-city:Chicago"
    * options.order - order:the attribute to order the results by. Ex. "some query order:attribute" or "some query order:!attribute" to reverse the order by direction.
+   * options.limit and options.offset - limit:10 offset:20
+   * options.fields - in:the fields to restrict the words of the query to. Ex. "in:title,description chicago"
    * @param {String} [query] the query to parse.
    * @return {Array} the query and options to be passed to the SearchModel.search method.
+   * @throws {InvalidValueError} if the limit or offset isn't a number
    */
   static parseQuery(query) {
     let options = {
@@ -106,38 +1082,82 @@ class SearchModel {
     };
     query = query || '';
 
-    // Get all the keys, which are words bound by a space on the left and a colon on the right; i.e. "some query key:value anotherKey:another value"
-    let keys = query.allIndicesOf(':').map(index => query.substring(query.lastIndexOf(' ', index) + 1, index));
+    // Find all the keys, which are words bound by a space or the start of the query on the left and a colon on the right; i.e. "some query key:value anotherKey:another value"
+    let keyPattern = /(^|\s)(-?)([A-Za-z_]\w*):/g;
+    let keys = [], match;
+    while ((match = keyPattern.exec(query)) !== null) {
+      keys.push({negated: match[2] === '-', name: match[3], start: match.index + match[1].length, end: keyPattern.lastIndex});
+    }
 
+    let text = [query.substring(0, keys.length > 0 ? keys[0].start : query.length)];
     keys.forEach((key, i) => {
-      if (key) {
-        // Gets the value of the key, which is the string bound by the colon after the key on the left and the next key or the end of the query string on the right.
-        let originalValue = query.substring(query.indexOf(key) + key.length + 1, i < keys.length - 1 ? query.indexOf(keys[i+1]) : query.length);
-        let value = originalValue.trim();
-        let operator = '';
-
-        if (key === 'order') {
-          options.order.push(value.charAt(0) === '!' ? [value.substring(1), 'DESC'] : [value, 'ASC']);
-        } else if (['=', '>', '<'].some(operator => operator === value.charAt(0))) {
-          // If the operator is =, >, <, >=, or <= the set it as it is, otherwise set it to ILIKE.
-          operator = value.charAt(1) === '=' ? value.substring(0, 2) : value.charAt(0);
-          originalValue = value.substring(operator.length);
-          value = originalValue.trim();
-          options.where[key] = {operator, value};
-        } else if (key === 'limit') {
-          options.limit = parseInt(value);
-        } else if (key === 'offset') {
-          options.offset = parseInt(value);
-        } else {
-          options.where[key] = {operator: 'ilike', value};
-        }
-
-        // Remove the key:[operator]value from the query string.
-        query = query.replace(key + ':' + operator + originalValue, '');
+      // The value is the string bound by the colon after the key on the left and the next key or the end of the query string on the right.
+      let value = query.substring(key.end, i < keys.length - 1 ? keys[i + 1].start : query.length).trim();
+      let quoted = false;
+
+      // A quoted value ends at the closing quote, and whatever follows it is part of the query
+      if (value.charAt(0) === '"') {
+        let closingQuote = value.indexOf('"', 1);
+        if (closingQuote < 0) closingQuote = value.length;
+        text.push(value.substring(closingQuote + 1));
+        value = value.substring(1, closingQuote);
+        quoted = true;
+      }
+
+      if (key.name === 'order') {
+        options.order.push(value.charAt(0) === '!' ? [value.substring(1), 'DESC'] : [value, 'ASC']);
+      } else if (key.name === 'in' && !quoted && !key.negated) {
+        // The fields are the first word of the value, and the rest of it is part of the query
+        let words = value.split(/\s+/);
+        options.fields = words[0].split(',').filter(field => field);
+        text.push(words.slice(1).join(' '));
+      } else if (key.name === 'limit' || key.name === 'offset') {
+        options[key.name] = parseInt(value, 10);
+        if (isNaN(options[key.name])) throw new InvalidValueError(key.name, value, 'an integer');
+      } else {
+        options.where[key.name] = SearchModel.parseFilter(value, {quoted, negated: key.negated});
       }
     });
 
-    return [query.trim(), options]
+    return [text.join(' ').replace(/\s+/g, ' ').trim(), options];
+  }
+
+  /**
+   * Parses the value of a filter in the query string into an options.where attribute:
+   * ">=25", ">25", "<=25", "<25", "=25", and "!=25" - compare using the operator
+   * "null" - IS NULL
+   * "2000..2010" - BETWEEN 2000 AND 2010. Either end can be left out; i.e. "2000.." or "..2010"
+   * "drama,comedy" - IN ('drama', 'comedy')
+   * anything else, or a quoted value - CONTAINS the value; i.e. ILIKE the value, with its wildcards escaped, between wildcards
+   * @param {String} value the value of the filter
+   * @param {Object} [options]
+   * @param {Boolean} [options.quoted] if true, the value is matched as it is with CONTAINS
+   * @param {Boolean} [options.negated] if true, the filter is negated. Ex. "!=" instead of "=" or "NOT CONTAINS" instead of "CONTAINS"
+   * @return {Object} the filter's operator and value
+   */
+  static parseFilter(value, options = {}) {
+    let filter;
+    let comparison = /^(>=|<=|!=|=|>|<)\s*(.*)$/.exec(value);
+    let range = /^(.*)\.\.(.*)$/.exec(value);
+
+    if (options.quoted) {
+      filter = {operator: 'contains', value};
+    } else if (value.toLowerCase() === 'null' || (comparison && comparison[2].toLowerCase() === 'null' && ['=', '!='].indexOf(comparison[1]) > -1)) {
+      filter = {operator: comparison && comparison[1] === '!=' ? 'is not null' : 'is null'};
+    } else if (comparison) {
+      filter = {operator: comparison[1], value: comparison[2].trim()};
+    } else if (range && (range[1].trim() || range[2].trim())) {
+      let from = range[1].trim(), to = range[2].trim();
+      if (from && to) filter = {operator: 'between', value: [from, to]};
+      else filter = from ? {operator: '>=', value: from} : {operator: '<=', value: to};
+    } else if (value.indexOf(',') > -1 && value.split(',').some(item => item.trim())) {
+      filter = {operator: 'in', value: value.split(',').map(item => item.trim()).filter(item => item)};
+    } else {
+      filter = {operator: 'contains', value};
+    }
+
+    if (options.negated) filter.operator = NEGATED_OPERATORS[filter.operator];
+    return filter;
   }
 }
 
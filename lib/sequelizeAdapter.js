@@ -0,0 +1,104 @@
+'use strict';
+
+// The keys of the data types whose values are text, which don't need to be cast to TEXT to be matched with ILIKE or converted to tsvector
+const TEXT_TYPES = ['STRING', 'CHAR', 'TEXT', 'CITEXT'];
+// The keys of the data types whose values are numbers
+const NUMERIC_TYPES = ['INTEGER', 'BIGINT', 'SMALLINT', 'MEDIUMINT', 'TINYINT', 'FLOAT', 'REAL', 'DOUBLE', 'DOUBLE PRECISION', 'DECIMAL', 'NUMERIC'];
+// The keys of the data types whose values are dates, with or without the time
+const DATE_TYPES = ['DATE', 'DATEONLY'];
+
+class SequelizeAdapter {
+  /**
+   * Gets the major version of the Sequelize that defined the model. The library doesn't require Sequelize itself, so the models' Sequelize is the one that matters.
+   * @param {Object} model the sequelize model
+   * @return {Number} the major version. Ex. 6
+   */
+  static version(model) {
+    let Sequelize = model.sequelize.constructor;
+    return parseInt(String(Sequelize.version || (Sequelize.Sequelize && Sequelize.Sequelize.version) || '3'), 10);
+  }
+
+  /**
+   * Gets the attribute definitions of the model. `Model.attributes` was removed in Sequelize 5 in favor of `rawAttributes`, which later versions expose through `getAttributes()`.
+   * @param {Object} model the sequelize model
+   * @return {Object} the attribute definitions by the attributes' names
+   */
+  static attributes(model) {
+    if (typeof model.getAttributes === 'function') return model.getAttributes();
+    return SequelizeAdapter.version(model) < 5 ? model.attributes : model.rawAttributes;
+  }
+
+  /**
+   * Gets a scope of the model. Sequelize 3 to 6 keep the scopes in the model's options, and a scope can be a function that returns the scope.
+   * @param {Object} model the sequelize model
+   * @param {String} name the name of the scope. Ex. "search" or "defaultScope"
+   * @return {Object|undefined} the scope
+   */
+  static scope(model, name) {
+    let scope = name === 'defaultScope' ? model.options.defaultScope : (model.options.scopes || {})[name];
+    return typeof scope === 'function' ? scope() : scope;
+  }
+
+  /**
+   * Checks if the attribute is of a text type; i.e. String, Char, or Text.
+   * The type is checked by its key instead of `instanceof`, since the model's data types can come from another copy or version of Sequelize than the library's.
+   * @param {Object} attribute the attribute definition of the model
+   * @return {boolean} true if the attribute is text
+   */
+  static isTextAttribute(attribute) {
+    return TEXT_TYPES.indexOf(SequelizeAdapter.typeKey(attribute)) >= 0;
+  }
+
+  /**
+   * Checks if the attribute is of a numeric type. Ex. Integer or Decimal
+   * @param {Object} attribute the attribute definition of the model
+   * @return {boolean} true if the attribute is numeric
+   */
+  static isNumericAttribute(attribute) {
+    return NUMERIC_TYPES.indexOf(SequelizeAdapter.typeKey(attribute)) >= 0;
+  }
+
+  /**
+   * Checks if the attribute is of a date type; i.e. Date or DateOnly
+   * @param {Object} attribute the attribute definition of the model
+   * @return {boolean} true if the attribute is a date
+   */
+  static isDateAttribute(attribute) {
+    return DATE_TYPES.indexOf(SequelizeAdapter.typeKey(attribute)) >= 0;
+  }
+
+  /**
+   * Checks if the attribute is of the boolean type
+   * @param {Object} attribute the attribute definition of the model
+   * @return {boolean} true if the attribute is a boolean
+   */
+  static isBooleanAttribute(attribute) {
+    return SequelizeAdapter.typeKey(attribute) === 'BOOLEAN';
+  }
+
+  /**
+   * Gets the key of the attribute's data type. Ex. "STRING"
+   * @param {Object} attribute the attribute definition of the model
+   * @return {String|undefined} the key
+   */
+  static typeKey(attribute) {
+    let type = attribute.type || {};
+    return type.key || (type.constructor && type.constructor.key);
+  }
+
+  /**
+   * Describes the columns of the model's table. Sequelize 4 and later append the maximum length to the types, which is removed so that they're the same in every version. Ex. "CHARACTER VARYING(255)" is "CHARACTER VARYING"
+   * @param {Object} model the sequelize model
+   * @return {Promise<Object>} the columns by their names, with their type and whether they allow null
+   */
+  static describe(model) {
+    return Promise.resolve(model.describe()).then(description => {
+      Object.keys(description).forEach(column => {
+        description[column].type = String(description[column].type).replace(/\(.*\)$/, '');
+      });
+      return description;
+    });
+  }
+}
+
+module.exports = SequelizeAdapter;
@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * The operators of the search query grammar.
+ * - Words are ANDed together: `dark knight`
+ * - Quoted phrases match words that follow each other: `"new york"`
+ * - A `-` prefix negates a word, a phrase, or a group: `-musical`
+ * - `OR` or `|` matches either side: `batman OR superman`
+ * - Parentheses group expressions: `(dark | night) knight`
+ * - A `field~` prefix matches a word or a phrase in that field only: `title~chicago` or `title~"new york"`
+ */
+const OR_KEYWORD = 'OR';
+const SPECIAL_CHARACTERS = ['"', '(', ')', '|'];
+// A word or a phrase scoped to a field; i.e. the field name followed by a tilde
+const FIELD_PATTERN = /^([A-Za-z_][\w.]*)~(.*)$/;
+
+class TSQueryParser {
+  /**
+   * Initializes the parser with the query string to parse
+   * @param {String} query the search query
+   */
+  constructor(query) {
+    this.tokens = TSQueryParser.tokenize(query || '');
+    this.position = 0;
+  }
+
+  /**
+   * Parses a search query into Postgres tsquery text. Malformed input, such as unbalanced parentheses or quotes and
+   * dangling operators, is ignored instead of producing an invalid tsquery.
+   * The words can be restricted to the weights of the fields they're in by tsquery weight labels. Ex. 'chicago':A
+   * @param {String} query the search query
+   * @param {Object} [options]
+   * @param {String} [options.labels] the weight labels of the words that aren't scoped to a field. Ex. "AB"
+   * @param {Object} [options.fields] the weight labels of each field that words are scoped to. Ex. {title: "A"}. The words of the other fields aren't labeled.
+   * @return {String} the tsquery text or an empty string if the query has no words
+   */
+  static parse(query, options = {}) {
+    let parser = new TSQueryParser(query);
+    let tree = parser.parseExpression();
+    // Skip stray closing parentheses and parse whatever follows them
+    while (parser.position < parser.tokens.length) {
+      parser.position++;
+      tree = TSQueryParser.combine('and', [tree, parser.parseExpression()]);
+    }
+    TSQueryParser.setPrefix(tree);
+    TSQueryParser.setLabels(tree, options);
+    return tree ? TSQueryParser.serialize(tree) : '';
+  }
+
+  /**
+   * Gets the words of the query that the results should match; i.e. the words that are not negated.
+   * @param {String} query the search query
+   * @return {Array<String>} the words
+   */
+  static words(query) {
+    let words = [];
+    let negated = false;
+    TSQueryParser.tokenize(query || '').forEach(token => {
+      if (token.type === 'word' && !negated) words.push(token.value);
+      else if (token.type === 'phrase' && !negated) words = words.concat(token.value);
+      negated = token.type === 'not';
+    });
+    return words;
+  }
+
+  /**
+   * Gets the fields that the words of the query are scoped to. Ex. "title~chicago" is scoped to "title"
+   * @param {String} query the search query
+   * @return {Array<String>} the fields, without duplicates
+   */
+  static fields(query) {
+    return TSQueryParser.tokenize(query || '')
+      .filter(token => token.field !== undefined)
+      .map(token => token.field)
+      .filter((field, i, fields) => fields.indexOf(field) === i);
+  }
+
+  /**
+   * Splits the query string into words, phrases, and operators.
+   * @param {String} query the search query
+   * @return {Array<Object>} the tokens. Each token has a `type` and possibly a `value`. The words and phrases scoped to a field have a `field`.
+   */
+  static tokenize(query) {
+    let tokens = [];
+    let i = 0, field;
+    while (i < query.length) {
+      let char = query.charAt(i);
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '"') {
+        // An unterminated quote takes the rest of the query as the phrase
+        let end = query.indexOf('"', i + 1);
+        if (end < 0) end = query.length;
+        let token = {type: 'phrase', value: query.substring(i + 1, end).split(/\s+/).filter(word => word)};
+        if (field !== undefined) token.field = field;
+        tokens.push(token);
+        field = undefined;
+        i = end + 1;
+      } else if (char === '(' || char === ')') {
+        tokens.push({type: char});
+        i++;
+      } else if (char === '|') {
+        tokens.push({type: 'or'});
+        i++;
+      } else if (char === '-') {
+        tokens.push({type: 'not'});
+        i++;
+      } else {
+        let start = i;
+        while (i < query.length && !/\s/.test(query.charAt(i)) && SPECIAL_CHARACTERS.indexOf(query.charAt(i)) < 0) i++;
+        let word = query.substring(start, i);
+        let scoped = FIELD_PATTERN.exec(word);
+        // The phrase right after a field's tilde is scoped to the field
+        if (scoped && !scoped[2] && query.charAt(i) === '"') field = scoped[1];
+        else if (scoped && scoped[2]) tokens.push({type: 'word', value: scoped[2], field: scoped[1]});
+        else tokens.push(word === OR_KEYWORD ? {type: 'or'} : {type: 'word', value: word});
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Parses the alternatives separated by OR
+   * @return {Object|null} the parsed tree
+   */
+  parseExpression() {
+    let nodes = [this.parseConjunction()];
+    while (this.peek('or')) {
+      this.position++;
+      nodes.push(this.parseConjunction());
+    }
+    return TSQueryParser.combine('or', nodes);
+  }
+
+  /**
+   * Parses the consecutive terms that are implicitly ANDed together
+   * @return {Object|null} the parsed tree
+   */
+  parseConjunction() {
+    let nodes = [];
+    while (this.position < this.tokens.length && !this.peek('or') && !this.peek(')')) {
+      nodes.push(this.parseUnary());
+    }
+    return TSQueryParser.combine('and', nodes);
+  }
+
+  /**
+   * Parses a term that is possibly negated
+   * @return {Object|null} the parsed tree
+   */
+  parseUnary() {
+    let token = this.tokens[this.position++];
+    if (token.type === 'not') {
+      if (this.position >= this.tokens.length || this.peek('or') || this.peek(')')) return null;
+      let node = this.parseUnary();
+      return node ? {type: 'not', node} : null;
+    } else if (token.type === '(') {
+      let node = this.parseExpression();
+      // A missing closing parenthesis closes the group at the end of the query
+      if (this.peek(')')) this.position++;
+      return node;
+    } else if (token.type === 'phrase') {
+      return token.value.length > 0 ? {type: 'phrase', words: token.value, field: token.field} : null;
+    }
+    return {type: 'term', value: token.value, field: token.field};
+  }
+
+  /**
+   * Checks the type of the current token
+   * @param {String} type the token type
+   * @return {boolean} true if the current token is of that type
+   */
+  peek(type) {
+    return this.position < this.tokens.length && this.tokens[this.position].type === type;
+  }
+
+  /**
+   * Combines nodes with an operator, dropping the empty ones.
+   * @param {String} type `and` or `or`
+   * @param {Array<Object|null>} nodes the nodes to combine
+   * @return {Object|null} the combined node, the only node if there's one, or null if there are none.
+   */
+  static combine(type, nodes) {
+    nodes = nodes.filter(node => node);
+    if (nodes.length < 2) return nodes[0] || null;
+    return {type, nodes};
+  }
+
+  /**
+   * Matches the last word of the query as a prefix so that results show up while the user is still typing.
+   * Negated words and phrases are matched as they are.
+   * @param {Object|null} tree the parsed tree
+   */
+  static setPrefix(tree) {
+    let last = tree;
+    while (last && (last.type === 'and' || last.type === 'or')) last = last.nodes[last.nodes.length - 1];
+    if (last && last.type === 'term') last.prefix = true;
+  }
+
+  /**
+   * Sets the weight labels of the words and phrases; the labels of their field if they're scoped to one, otherwise the labels of the query.
+   * @param {Object|null} node the parsed tree
+   * @param {Object} options @see {@link TSQueryParser.parse}
+   */
+  static setLabels(node, options) {
+    if (!node) return;
+    if (node.type === 'term' || node.type === 'phrase')
+      node.labels = node.field !== undefined ? (options.fields || {})[node.field] : options.labels;
+    else if (node.type === 'not') TSQueryParser.setLabels(node.node, options);
+    else node.nodes.forEach(child => TSQueryParser.setLabels(child, options));
+  }
+
+  /**
+   * Converts the parsed tree into tsquery text
+   * @param {Object} node the parsed tree
+   * @return {String} tsquery text
+   */
+  static serialize(node) {
+    switch (node.type) {
+      case 'term':
+        return TSQueryParser.lexeme(node.value) + (node.prefix || node.labels ? ':' + (node.prefix ? '*' : '') + (node.labels || '') : '');
+      case 'phrase': {
+        let words = node.words.map(word => TSQueryParser.lexeme(word) + (node.labels ? ':' + node.labels : ''));
+        return words.length > 1 ? '(' + words.join(' <-> ') + ')' : words[0];
+      }
+      case 'not':
+        return '!' + TSQueryParser.group(node.node);
+      case 'and':
+        return node.nodes.map(TSQueryParser.group).join(' & ');
+      case 'or':
+        return node.nodes.map(TSQueryParser.group).join(' | ');
+    }
+  }
+
+  /**
+   * Serializes a node and wraps it in parentheses if it's a combination of other nodes
+   * @param {Object} node the node to serialize
+   * @return {String} tsquery text
+   */
+  static group(node) {
+    let text = TSQueryParser.serialize(node);
+    return node.type === 'and' || node.type === 'or' ? '(' + text + ')' : text;
+  }
+
+  /**
+   * Quotes a word as a tsquery lexeme so that the operators and quotes in it are not parsed by to_tsquery.
+   * @param {String} word the word to quote
+   * @return {String} the quoted lexeme
+   */
+  static lexeme(word) {
+    return '\'' + word.replace(/\\/g, '\\\\').replace(/'/g, '\'\'') + '\'';
+  }
+}
+
+module.exports = TSQueryParser;
@@ -0,0 +1,105 @@
+'use strict';
+
+let should = require("should");
+let RefreshScheduler = require('../lib/refreshScheduler');
+let SearchModel = require('../lib/searchModel');
+let { models: { FilmMaterializedView, Actor, FilmActor } } = require('./sequelize');
+
+let wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = describe("debounced refreshes", () => {
+  it("should coalesce requests into one refresh", done => {
+    let refreshes = 0;
+    let scheduler = new RefreshScheduler(() => refreshes++, {debounceMs: 20});
+    for (let i = 0; i < 100; i++) scheduler.schedule();
+    wait(50).then(() => {
+      refreshes.should.equal(1);
+      done();
+    });
+  });
+
+  it("should refresh after maxWaitMs even if requests keep coming", done => {
+    let refreshes = 0;
+    let scheduler = new RefreshScheduler(() => refreshes++, {debounceMs: 30, maxWaitMs: 50});
+    let interval = setInterval(() => scheduler.schedule(), 10);
+    wait(80).then(() => {
+      clearInterval(interval);
+      scheduler.stop();
+      refreshes.should.be.aboveOrEqual(1);
+      done();
+    });
+  });
+
+  it("should run one trailing refresh for requests made while refreshing", done => {
+    let running = 0, maxRunning = 0, refreshes = 0;
+    let scheduler = new RefreshScheduler(() => {
+      running++;
+      refreshes++;
+      maxRunning = Math.max(running, maxRunning);
+      return wait(20).then(() => running--);
+    }, {debounceMs: 0});
+    scheduler.run();
+    scheduler.schedule();
+    scheduler.schedule();
+    wait(80).then(() => {
+      refreshes.should.equal(2);
+      maxRunning.should.equal(1);
+      done();
+    });
+  });
+
+  it("should refresh on writes to the watched models", done => {
+    let hooks = {};
+    let model = {
+      addHook: (type, name, fn) => hooks[type] = fn,
+      removeHook: type => delete hooks[type]
+    };
+    let refreshes = 0;
+    let scheduler = new RefreshScheduler(() => refreshes++, {debounceMs: 0}).watch([model], 'test');
+    hooks.afterCreate({}, {});
+    hooks.afterBulkDestroy({});
+    scheduler.flush().then(() => {
+      refreshes.should.equal(1);
+      scheduler.stop();
+      Object.keys(hooks).should.be.empty();
+      done();
+    });
+  });
+
+  it("should log the errors of the automatic refreshes with sequelize's logging option", done => {
+    let hooks = {};
+    let logged = [];
+    let model = {
+      name: 'FilmMaterializedView',
+      options: {},
+      sequelize: {options: {logging: message => logged.push(message)}, QueryTypes: {}, models: {}, query: () => Promise.resolve([])},
+      refresh: () => Promise.reject(new Error('the materialized view is locked')),
+      addHook: (type, name, fn) => hooks[type] = fn,
+      removeHook: type => delete hooks[type]
+    };
+    let scheduler = SearchModel.autoRefresh(model, {debounceMs: 0});
+    hooks.afterUpdate({}, {});
+    scheduler.flush().then(() => {
+      logged.length.should.equal(1);
+      logged[0].should.startWith('Refreshing FilmMaterializedView failed').and.containEql('the materialized view is locked');
+      scheduler.stop();
+      done();
+    });
+  });
+
+  it("should refresh on writes to the models the materialized view is built from", done => {
+    let scheduler = FilmMaterializedView.autoRefresh({debounceMs: 0});
+    scheduler.ready.then(() => {
+      let models = scheduler.hooks.map(hook => hook.model);
+      models.indexOf(Actor).should.not.equal(-1);
+      models.indexOf(FilmActor).should.not.equal(-1);
+      return Actor.update({name: 'Nobody'}, {where: {id: -1}});
+    }).then(() => {
+      should.exist(scheduler.timer);
+      return scheduler.flush();
+    }).then(() => {
+      scheduler.stop();
+      done();
+    }).catch(done);
+  });
+});
@@ -1,7 +1,12 @@
 'use strict';
 
 let should = require("should");
-let { models: { FilmMaterializedView } } = require('./sequelize');
+let sequelize = require('./sequelize');
+let { models: { FilmMaterializedView, Film, Actor } } = sequelize;
+let SearchModel = require('../');
+let { UnknownAttributeError, InvalidOperatorError, InvalidValueError } = SearchModel;
+// The tests run against the Sequelize version in SEQUELIZE, ex. "sequelize4". @see the test:sequelize* scripts
+let Sequelize = require(process.env.SEQUELIZE || 'sequelize');
 
 module.exports = describe("search using a text query", () => {
   it("should find film by its title", done => {
@@ -20,6 +25,97 @@ module.exports = describe("search using a text query", () => {
     });
   });
 
+  it("should find film with a quote in its title", done => {
+    FilmMaterializedView.searchByText("Schindler's List").then(films => {
+      films[0].should.have.property("title", "Schindler's List");
+      done();
+    });
+  });
+
+  it("should filter by a value with a quote in it", done => {
+    FilmMaterializedView.searchByText("title:'s").then(films => {
+      films.forEach(film => {
+        film.title.should.containEql("'s");
+      });
+      done();
+    });
+  });
+
+  it("should find films matching either word", done => {
+    FilmMaterializedView.searchByText("Inception OR Taken").then(films => {
+      films.map(film => film.title).should.containEql("Inception").and.containEql("Taken");
+      done();
+    });
+  });
+
+  it("should exclude films matching a negated word", done => {
+    FilmMaterializedView.searchByText("hangover -vegas").then(films => {
+      films.forEach(film => {
+        film.description.toLowerCase().should.not.containEql("vegas");
+      });
+      done();
+    });
+  });
+
+  it("should not fail on malformed queries", done => {
+    FilmMaterializedView.searchByText('(Inception OR "dream').then(films => {
+      films.should.be.an.Array();
+      done();
+    });
+  });
+
+  it("should highlight the matching words in the title", done => {
+    FilmMaterializedView.searchByText("Inception", {highlight: {fields: ["title"], startSel: "<mark>", stopSel: "</mark>"}}).then(films => {
+      films[0].should.have.property("highlight").which.has.property("title", "<mark>Inception</mark>");
+      done();
+    });
+  });
+
+  it("should return film instances with their actors", done => {
+    FilmMaterializedView.searchByText("Inception", {raw: false, include: [{model: Actor, as: "Actors"}]}).then(films => {
+      films[0].should.be.an.instanceOf(Film.Instance || Film);
+      films[0].get("title").should.equal("Inception");
+      films[0].get("_rank").should.be.above(0);
+      films[0].Actors.should.be.an.Array();
+      done();
+    });
+  });
+
+  it("should return the boosted rank as the score", done => {
+    let ranking = {function: "ts_rank_cd", normalization: [1], boosts: [{attribute: "releaseYear", decay: 0.5, scale: 10, origin: 2017}]};
+    FilmMaterializedView.searchByText("Washington", {rank: "score", ranking}).then(films => {
+      films.length.should.be.above(1);
+      films.forEach((film, i) => {
+        film.score.should.be.above(0);
+        if (i > 0) films[i - 1].score.should.be.aboveOrEqual(film.score);
+      });
+      done();
+    });
+  });
+
+  it("should find a film by a misspelled title", done => {
+    FilmMaterializedView.searchByText("Incepshun", {fuzzy: {fields: ["title"]}}).then(films => {
+      films.map(film => film.title).should.containEql("Inception");
+      films.suggestions.should.be.an.Array();
+      done();
+    });
+  });
+
+  it("should count the misspelled title's results and their facets the same way as the results", done => {
+    let fuzzy = {fields: ["title"], suggestions: false};
+    Promise.all([
+      FilmMaterializedView.search("Incepshun", {fuzzy}),
+      FilmMaterializedView.search("Incepshun", {fuzzy, count: true, limit: 1, facets: ["releaseYear"]})
+    ]).then(([films, page]) => {
+      films.length.should.be.above(0);
+      page.count.should.equal(films.length);
+      page.rows.length.should.equal(1);
+      page.facets.releaseYear.should.containEql({value: 2010, count: 1});
+      page.facets.releaseYear.reduce((total, facet) => total + facet.count, 0).should.equal(films.length);
+      done();
+    }).catch(done);
+  });
+
   it("should limit results to 2 films", done => {
     FilmMaterializedView.searchByText("Washington limit:2").then(films => {
       films.length.should.equal(2);
@@ -38,6 +134,70 @@ module.exports = describe("search using a text query", () => {
     });
   });
 
+  it("should continue from the cursor of the previous page", done => {
+    FilmMaterializedView.searchByText("Washington limit:2").then(firstPage => {
+      firstPage.nextCursor.should.be.a.String();
+      FilmMaterializedView.searchByText("Washington limit:1", {after: firstPage.nextCursor}).then(secondPage => {
+        FilmMaterializedView.searchByText("Washington limit:3").then(films => {
+          secondPage[0].should.be.eql(films[2]);
+          done();
+        });
+      });
+    });
+  });
+
+  it("should not return a cursor when the page ends with the last result", done => {
+    FilmMaterializedView.searchAndCount("Washington").then(({count}) =>
+      Promise.all([
+        FilmMaterializedView.search("Washington", {limit: count}),
+        FilmMaterializedView.search("Washington", {limit: count - 1})
+      ])
+    ).then(([lastPage, firstPage]) => {
+      should(lastPage.nextCursor).be.null();
+      firstPage.nextCursor.should.be.a.String();
+      return FilmMaterializedView.search("Washington", {limit: 1, after: firstPage.nextCursor});
+    }).then(rest => {
+      rest.length.should.equal(1);
+      should(rest.nextCursor).be.null();
+      done();
+    }).catch(done);
+  });
+
+  it("should count all the results regardless of the limit", done => {
+    FilmMaterializedView.searchByText("Washington", {count: true}).then(all => {
+      FilmMaterializedView.searchByText("Washington limit:2 offset:1", {count: true}).then(page => {
+        page.rows.length.should.equal(2);
+        page.count.should.equal(all.rows.length);
+        page.rows[0].should.not.have.property("_count");
+        done();
+      });
+    });
+  });
+
+  it("should count all the results of a page after a cursor, including the ones before it", done => {
+    FilmMaterializedView.searchByText("Washington limit:2", {count: true}).then(firstPage => {
+      FilmMaterializedView.searchByText("Washington limit:2", {count: true, after: firstPage.nextCursor}).then(secondPage => {
+        secondPage.count.should.equal(firstPage.count);
+        secondPage.rows[0].should.not.have.property("_count");
+        done();
+      });
+    });
+  });
+
+  it("should count the results by release year regardless of the release year filter", done => {
+    FilmMaterializedView.searchByText("Washington releaseYear:=2012", {facets: ["releaseYear"]}).then(films => {
+      films.facets.should.have.property("releaseYear").which.is.an.Array();
+      films.facets.releaseYear.length.should.be.above(1);
+      films.facets.releaseYear.forEach(facet => facet.count.should.be.above(0));
+      done();
+    });
+  });
+
+  it("should remove the facet's filters from the $and, $or, and $not groups", () => {
+    let where = SearchModel.compileWhere({$or: [{releaseYear: {$gt: 2000}}, {rating: "R"}], $and: [{releaseYear: 2012, rating: "PG"}], $not: {releaseYear: 2013}, rating: {$ne: null}});
+    SearchModel.withoutFilter(where, "releaseYear").should.eql({$and: [{rating: {operator: "=", value: "PG"}}], rating: {operator: "is not null"}});
+  });
+
   it("should filter by title", done => {
     FilmMaterializedView.searchByText("title:Leonardo").then(films => {
       films.forEach(film => {
@@ -56,6 +216,22 @@ module.exports = describe("search using a text query", () => {
     });
   });
 
+  it("should filter by a range of release years", done => {
+    FilmMaterializedView.searchByText("title:the hangover releaseYear:2010..2012").then(films => {
+      films.length.should.equal(1);
+      films[0].releaseYear.should.equal(2011);
+      done();
+    });
+  });
+
+  it("should filter by a quoted title excluding a list of release years", done => {
+    FilmMaterializedView.searchByText('title:"the hangover" -releaseYear:2011,2013').then(films => {
+      films.length.should.equal(1);
+      films[0].releaseYear.should.equal(2009);
+      done();
+    });
+  });
+
   it("should order movies by release year - ascending", done => {
     FilmMaterializedView.searchByText("title:the hangover order:releaseYear").then(films => {
       films[0].releaseYear.should.equal(2009);
@@ -73,5 +249,135 @@ module.exports = describe("search using a text query", () => {
       done();
     });
   });
-});
 
+  it("should search several models and order their results by their weighted ranks", done => {
+    SearchModel.searchAll([FilmMaterializedView, {model: FilmMaterializedView, weight: 0.5, attributes: ["title"]}], "Inception", {limit: 2}).then(results => {
+      results.length.should.equal(2);
+      results.forEach(result => result.should.have.properties({_model: "FilmMaterializedView", title: "Inception"}));
+      results[1]._rank.should.be.approximately(results[0]._rank / 2, 1e-9);
+      results[1].should.not.have.property("description");
+      done();
+    });
+  });
+
+  it("should order the results of several models with the same rank by their primary keys", done => {
+    SearchModel.searchAll([FilmMaterializedView], "", {limit: 3}).then(results => {
+      results.length.should.equal(3);
+      results.forEach((result, i) => {
+        result.should.not.have.property("_key");
+        if (i > 0) result.id.should.be.above(results[i - 1].id);
+      });
+      done();
+    });
+  });
+
+  it("should reject with an InvalidValueError for an invalid limit or offset of several models", () => {
+    return Promise.all([
+      SearchModel.searchAll([FilmMaterializedView], "Inception", {limit: "ten"}).should.be.rejectedWith(InvalidValueError, {key: "limit"}),
+      SearchModel.searchAll([FilmMaterializedView], "Inception", {limit: 2, offset: "next"}).should.be.rejectedWith(InvalidValueError, {key: "offset"})
+    ]);
+  });
+
+  it("should return the search query without running it", () => {
+    let { sql, bind } = FilmMaterializedView.toSQL("Inception", {where: {releaseYear: {operator: ">", value: 2000}}, limit: 1});
+    sql.should.startWith("SELECT ").and.endWith("LIMIT 1;");
+    bind.should.containEql(2000);
+  });
+
+  it("should match the value of ILIKE as a pattern and the value of CONTAINS literally", () => {
+    let { sql, bind } = FilmMaterializedView.toSQL("", {where: {title: {operator: "ILIKE", value: "Incep%"}, description: {operator: "contains", value: "50%"}}});
+    sql.should.containEql('"film"."title" ILIKE $1 AND "film"."description" ILIKE $2');
+    bind.should.eql(["Incep%", "%50\\%%"]);
+  });
+
+  it("should wrap the value of the lowercase ilike in wildcards and keep the value of $iLike as a pattern", () => {
+    let { sql, bind } = FilmMaterializedView.toSQL("", {where: {title: {operator: "ilike", value: "incep"}, description: {$iLike: "A%"}}});
+    sql.should.containEql('"film"."title" ILIKE $1 AND "film"."description" ILIKE $2');
+    bind.should.eql(["%incep%", "A%"]);
+  });
+
+  it("should filter by either of two conditions in Sequelize's where syntax", done => {
+    FilmMaterializedView.search("Washington", {where: {$or: [{releaseYear: {$lt: 2000}}, {releaseYear: {$gt: 2012}}], rating: {$ne: null}}}).then(films => {
+      films.length.should.be.above(0);
+      films.forEach(film => (film.releaseYear < 2000 || film.releaseYear > 2012).should.be.true());
+      done();
+    });
+  });
+
+  it("should compile Sequelize's where syntax into the search query", () => {
+    let { sql, bind } = FilmMaterializedView.toSQL("Inception", {where: {$or: [{releaseYear: {$gte: 2010}}, {rating: ["PG", "R"]}]}});
+    sql.should.containEql('("film"."release_year" >= $1 OR "film"."rating" IN ($2, $3))');
+    bind.should.containEql(2010).and.containEql("PG");
+  });
+
+  it("should compile $not with a value into != and $not with a boolean into IS NOT", () => {
+    SearchModel.compileWhere({rating: {$not: "R"}, watched: {$not: true}}).should.eql({rating: {operator: "!=", value: "R"}, watched: {operator: "is not true"}});
+    let { sql, bind } = FilmMaterializedView.toSQL("Inception", {where: {rating: {$not: "R"}}});
+    sql.should.containEql('"film"."rating" != $');
+    bind.should.containEql("R");
+  });
+
+  it("should explain the search query", done => {
+    FilmMaterializedView.search("Inception", {explain: true}).then(result => {
+      result.plan.should.be.a.String().and.not.be.empty();
+      done();
+    });
+  });
+
+  it("should reject with an UnknownAttributeError for a filter by an unknown attribute", () => {
+    return FilmMaterializedView.searchByText("Inception budget:>100").should.be.rejectedWith(UnknownAttributeError, {key: "budget"});
+  });
+
+  it("should reject with an UnknownAttributeError for an unknown attribute of the instances", () => {
+    return SearchModel.searchInstances(FilmMaterializedView, "Inception", {attributes: ["title", "budget"]})
+      .should.be.rejectedWith(UnknownAttributeError, {key: "budget"});
+  });
+
+  it("should reject with an InvalidOperatorError for an unsupported operator", () => {
+    return FilmMaterializedView.search("Inception", {where: {title: {operator: "; DROP TABLE film; --", value: "x"}}})
+      .should.be.rejectedWith(InvalidOperatorError, {key: "title"});
+  });
+
+  it("should reject with an InvalidOperatorError for an unsupported operator of Sequelize's where syntax", () => {
+    return FilmMaterializedView.search("Inception", {where: {$or: [{title: {$regexp: "^In"}}]}})
+      .should.be.rejectedWith(InvalidOperatorError, {key: "title", operator: "$regexp"});
+  });
+
+  it("should alias the through tables of a belongsToMany include and of the belongsToMany include under it", done => {
+    let queryInterface = new SearchModel.QueryInterface(sequelize.getQueryInterface());
+    let include = {association: 'Actors', attributes: {name: 'C'}, include: {association: 'Films', attributes: {title: 'D'}}};
+    queryInterface.createMaterializedView('film_costar_view', Film, {title: 'A'}, {include, dryRun: true}).then(queries => {
+      queries[0].should.containEql('LEFT OUTER JOIN "film_actor" AS "Actors_through" ON "Actors_through"."film_id" = "film"."film_id"')
+        .and.containEql('LEFT OUTER JOIN "actor" AS "Actors" ON "Actors"."actor_id" = "Actors_through"."actor_id"')
+        .and.containEql('LEFT OUTER JOIN "film_actor" AS "Films_through" ON "Films_through"."actor_id" = "Actors"."actor_id"')
+        .and.containEql('LEFT OUTER JOIN "film" AS "Films" ON "Films"."film_id" = "Films_through"."film_id"');
+      return queryInterface.createMaterializedView('film_costar_view', Film, {title: 'A'}, {include});
+    }).then(() => sequelize.query('SELECT "film_id" FROM "film_costar_view" WHERE "document" @@ to_tsquery(\'Inception\');', {type: sequelize.QueryTypes.SELECT}))
+      .then(rows => {
+        rows.map(row => row.film_id).should.containEql(15857);
+        return queryInterface.dropMaterializedView('film_costar_view');
+      })
+      .then(() => done())
+      .catch(done);
+  });
+
+  it("should restrict the words to an attribute whose column is named differently", done => {
+    let queryInterface = new SearchModel.QueryInterface(sequelize.getQueryInterface());
+    let FilmYearView = sequelize.define('FilmYearView', {
+      id: {type: Sequelize.INTEGER, primaryKey: true, field: 'film_id'},
+      document: Sequelize.TEXT
+    }, {tableName: 'film_year_view', timestamps: false, referenceModel: Film});
+    new SearchModel(FilmYearView);
+    queryInterface.createMaterializedView('film_year_view', Film, {title: 'A', release_year: 'D'}).then(() => Promise.all([
+      FilmYearView.searchByText("releaseYear~2010"),
+      FilmYearView.searchByText("in:releaseYear 2010"),
+      FilmYearView.search("2010", {fields: ["releaseYear"]}),
+      FilmYearView.searchByText("title~2010")
+    ])).then(([scoped, restricted, byFields, byTitle]) => {
+      FilmYearView.searchWeights.should.eql({title: "A", releaseYear: "D"});
+      [scoped, restricted, byFields].forEach(films => films.map(film => film.id).should.containEql(15857));
+      byTitle.map(film => film.id).should.not.containEql(15857);
+      return queryInterface.dropMaterializedView('film_year_view');
+    }).then(() => done()).catch(done);
+  });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+let should = require("should");
+let sequelize = require('./sequelize');
+let SearchModel = require('../');
+// The tests run against the Sequelize version in SEQUELIZE, ex. "sequelize4". @see the test:sequelize* scripts
+let Sequelize = require(process.env.SEQUELIZE || 'sequelize');
+
+// The search column is added to copies of the tables, so that the other tests' tables and models are left as they are
+let SearchColumnFilm = sequelize.define('SearchColumnFilm', {
+  id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, field: 'film_id' },
+  title: { type: Sequelize.STRING, allowNull: false },
+  description: { type: Sequelize.TEXT, allowNull: false },
+  releaseYear: { type: Sequelize.INTEGER, allowNull: false, field: 'release_year' },
+  length: Sequelize.INTEGER,
+  rating: Sequelize.STRING,
+}, {
+  tableName: 'search_column_film',
+  timestamps: false,
+});
+
+let SearchColumnActor = sequelize.define('SearchColumnActor', {
+  id: {type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, field: 'actor_id'},
+  name: {type: Sequelize.STRING(45), allowNull: false}
+}, {
+  tableName: 'search_column_actor',
+  timestamps: false
+});
+
+let SearchColumnFilmActor = sequelize.define('SearchColumnFilmActor', {}, {
+  tableName: 'search_column_film_actor',
+  timestamps: false
+});
+SearchColumnFilmActor.removeAttribute('id');
+
+SearchColumnFilm.belongsToMany(SearchColumnActor, {
+  through: SearchColumnFilmActor,
+  as: 'Actors',
+  foreignKey: {
+    name: 'film_id',
+    allowNull: false
+  },
+  otherKey: 'actor_id'
+});
+new SearchModel(SearchColumnFilm);
+
+let copyTable = (table, original) => sequelize.query(`DROP TABLE IF EXISTS "${table}";`)
+  .then(() => sequelize.query(`CREATE TABLE "${table}" (LIKE "${original}" INCLUDING ALL);`))
+  .then(() => sequelize.query(`INSERT INTO "${table}" SELECT * FROM "${original}";`));
+
+module.exports = describe("search using a search column", () => {
+  let queryInterface = new SearchModel.QueryInterface(sequelize.getQueryInterface());
+
+  before(() => copyTable('search_column_film', 'film')
+    .then(() => copyTable('search_column_actor', 'actor'))
+    .then(() => copyTable('search_column_film_actor', 'film_actor'))
+    .then(() => queryInterface.createSearchColumn(SearchColumnFilm, {title: 'A', description: 'B'}, {
+      include: [{
+        model: SearchColumnFilmActor,
+        foreignKey: 'film_id',
+        targetKey: 'film_id',
+        associationType: 'hasMany',
+        include: {model: SearchColumnActor, foreignKey: 'actor_id', targetKey: 'actor_id', associationType: 'belongsTo', attributes: {name: 'C'}}
+      }]
+    })));
+
+  after(() => queryInterface.dropSearchColumn(SearchColumnFilm)
+    .then(() => sequelize.query('DROP TABLE "search_column_film_actor", "search_column_actor", "search_column_film";')));
+
+  it("should find film by its title", done => {
+    SearchColumnFilm.searchByText("Inception").then(films => {
+      films[0].should.have.property("title", "Inception");
+      done();
+    }).catch(done);
+  });
+
+  it("should restrict the words to the weights of the fields", done => {
+    SearchColumnFilm.searchByText("estranged daughter kidnapped").then(films => {
+      films.map(film => film.title).should.containEql("Taken");
+      return SearchColumnFilm.searchByText("in:title estranged daughter kidnapped");
+    }).then(films => {
+      films.map(film => film.title).should.not.containEql("Taken");
+      return SearchColumnFilm.search('description~"estranged daughter" title~Taken');
+    }).then(films => {
+      films[0].should.have.property("title", "Taken");
+      done();
+    }).catch(done);
+  });
+
+  it("should find an updated film without a refresh", done => {
+    SearchColumnFilm.findOne({where: {id: 15857}})
+      .then(film => film.update({title: "Inception Reloaded"}))
+      .then(() => SearchColumnFilm.searchByText("Reloaded"))
+      .then(films => {
+        films.map(film => film.id).should.containEql(15857);
+        done();
+      })
+      .catch(done);
+  });
+
+  it("should join the through table of a belongsToMany include", done => {
+    queryInterface.createSearchColumn(SearchColumnFilm, {title: 'A'}, {
+      column: 'actors_document',
+      dryRun: true,
+      include: {model: SearchColumnActor, through: SearchColumnFilmActor, foreignKey: 'film_id', targetKey: 'film_id', otherKey: 'actor_id', associationType: 'belongsToMany', attributes: {name: 'C'}}
+    }).then(queries => {
+      queries[0].should.equal('ALTER TABLE "search_column_film" ADD COLUMN "actors_document" tsvector;');
+      let fill = queries[queries.length - 2];
+      fill.should.containEql('LEFT OUTER JOIN "search_column_film_actor" AS "search_column_actor_through" ON "search_column_actor_through"."film_id" = "search_column_film"."film_id"')
+        .and.containEql('LEFT OUTER JOIN "search_column_actor" ON "search_column_actor"."actor_id" = "search_column_actor_through"."actor_id"')
+        .and.containEql('string_agg("search_column_actor"."name"');
+      queries.should.matchAny(/^CREATE TRIGGER .* ON "search_column_film_actor" /);
+      done();
+    }).catch(done);
+  });
+
+  it("should take the keys of an include from the association", done => {
+    let attributes = {name: 'C'};
+    queryInterface.createSearchColumn(SearchColumnFilm, {title: 'A'}, {dryRun: true, include: {association: 'Actors', attributes}}).then(fromAssociation =>
+      queryInterface.createSearchColumn(SearchColumnFilm, {title: 'A'}, {dryRun: true, include: {model: SearchColumnActor, as: 'Actors', through: SearchColumnFilmActor,
+        foreignKey: 'film_id', targetKey: 'film_id', otherKey: 'actor_id', associationType: 'belongsToMany', attributes}}).then(explicit => {
+        fromAssociation.should.eql(explicit);
+        done();
+      })).catch(done);
+  });
+
+  it("should find a film by the updated name of its actor", done => {
+    SearchColumnFilmActor.findOne({where: {film_id: 15857}})
+      .then(filmActor => SearchColumnActor.update({name: "Zyxwvutsrq"}, {where: {id: filmActor.actor_id}}))
+      .then(() => SearchColumnFilm.searchByText("Zyxwvutsrq"))
+      .then(films => {
+        films.map(film => film.id).should.containEql(15857);
+        done();
+      })
+      .catch(done);
+  });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+let should = require("should");
+let sequelize = require('./sequelize');
+let { SearchHandler } = require('../');
+let { models: { FilmMaterializedView } } = sequelize;
+// The tests run against the Sequelize version in SEQUELIZE, ex. "sequelize4". @see the test:sequelize* scripts
+let Sequelize = require(process.env.SEQUELIZE || 'sequelize');
+
+module.exports = describe("search from HTTP query parameters", () => {
+  let handler = new SearchHandler(FilmMaterializedView, {filters: ["releaseYear"], sort: ["releaseYear"], maxLimit: 2});
+
+  it("should respond with the results, the total, and the links to the other pages", done => {
+    handler.handle({q: "Washington", releaseYear: "2000..2015", sort: "-releaseYear", limit: "10", offset: "1"}, "/films").then(response => {
+      response.status.should.equal(200);
+      response.body.results.length.should.equal(2);
+      response.body.results[0].releaseYear.should.be.aboveOrEqual(response.body.results[1].releaseYear);
+      response.body.total.should.be.above(2);
+      response.body.links.self.should.equal("/films?q=Washington&releaseYear=2000..2015&sort=-releaseYear&limit=2&offset=1");
+      response.body.links.prev.should.endWith("&limit=2&offset=0");
+      response.body.links.next.should.endWith("&limit=2&offset=3");
+      done();
+    });
+  });
+
+  it("should respond with a bad request for a filter that isn't whitelisted", done => {
+    handler.handle({q: "Washington", title: "Washington"}).then(response => {
+      response.status.should.equal(400);
+      response.body.error.should.have.properties({name: "UnknownAttributeError", key: "title"});
+      done();
+    });
+  });
+
+  it("should respond with a bad request for an invalid value", done => {
+    handler.handle({releaseYear: ">recent"}).then(response => {
+      response.status.should.equal(400);
+      response.body.error.should.have.properties({name: "InvalidValueError", key: "releaseYear"});
+      done();
+    });
+  });
+
+  it("should respond with a bad request for a filter by a date or a boolean attribute that isn't one", done => {
+    // The bad requests are responded to before any query, so the model doesn't need a table
+    let FilmRelease = sequelize.define('FilmRelease', {
+      releaseDate: {type: Sequelize.DATEONLY, field: 'release_date'},
+      streaming: Sequelize.BOOLEAN
+    }, {tableName: 'film_release', timestamps: false});
+    let releases = new SearchHandler(FilmRelease, {filters: ["releaseDate", "streaming"]});
+    Promise.all([releases.handle({releaseDate: "abc"}), releases.handle({releaseDate: "2010-01-01..2015-12-31", streaming: "maybe"})]).then(responses => {
+      responses[0].status.should.equal(400);
+      responses[0].body.error.should.have.properties({name: "InvalidValueError", key: "releaseDate"});
+      responses[1].status.should.equal(400);
+      responses[1].body.error.should.have.properties({name: "InvalidValueError", key: "streaming"});
+      done();
+    });
+  });
+
+  it("should respond with a bad request for a filter without a value", done => {
+    let withoutValue = new SearchHandler(FilmMaterializedView, {search: {where: {title: {operator: "="}}}});
+    let undefinedValue = new SearchHandler(FilmMaterializedView, {search: {where: {title: undefined}}});
+    Promise.all([withoutValue.handle({q: "Washington"}), undefinedValue.handle({q: "Washington"})]).then(responses => {
+      responses.forEach(response => {
+        response.status.should.equal(400);
+        response.body.error.should.have.properties({name: "InvalidValueError", key: "title"});
+      });
+      done();
+    }).catch(done);
+  });
+
+  it("should respond through an Express middleware", done => {
+    let res = {
+      status(status) {
+        this.statusCode = status;
+        return this;
+      },
+      json(body) {
+        this.statusCode.should.equal(400);
+        body.error.should.have.property("key", "limit");
+        done();
+      }
+    };
+    handler.express()({query: {limit: "none"}, baseUrl: "", path: "/films"}, res, done);
+  });
+});
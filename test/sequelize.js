@@ -10,7 +10,8 @@ let config = {
 };
 
 let SearchModel = require('../');
-let Sequelize = require('sequelize');
+// The tests run against the Sequelize version in SEQUELIZE, ex. "sequelize4". @see the test:sequelize* scripts
+let Sequelize = require(process.env.SEQUELIZE || 'sequelize');
 let sequelize = new Sequelize(config.database, config.username, config.password, config);
 
 let Film = sequelize.define('Film', {
@@ -0,0 +1,55 @@
+'use strict';
+
+let should = require("should");
+let SequelizeAdapter = require('../lib/sequelizeAdapter');
+// The tests run against the Sequelize version in SEQUELIZE, ex. "sequelize4". @see the test:sequelize* scripts
+let Sequelize = require(process.env.SEQUELIZE || 'sequelize');
+
+let sequelize = new Sequelize('films', 'root', 'admin', {dialect: 'postgres', logging: false});
+let Film = sequelize.define('Film', {
+  id: {type: Sequelize.INTEGER, primaryKey: true, field: 'film_id'},
+  title: Sequelize.STRING(45),
+  description: Sequelize.TEXT,
+  releaseYear: {type: Sequelize.INTEGER, field: 'release_year'}
+}, {
+  tableName: 'film',
+  timestamps: false,
+  defaultScope: {attributes: ['id']},
+  scopes: {search: () => ({attributes: ['title']})}
+});
+
+module.exports = describe("sequelize versions", () => {
+  it("should get the attributes of the model", () => {
+    SequelizeAdapter.attributes(Film).should.have.keys('id', 'title', 'description', 'releaseYear');
+    SequelizeAdapter.attributes(Film).releaseYear.should.have.property('field', 'release_year');
+  });
+
+  it("should get the scopes of the model", () => {
+    SequelizeAdapter.scope(Film, 'search').should.eql({attributes: ['title']});
+    SequelizeAdapter.scope(Film, 'defaultScope').should.eql({attributes: ['id']});
+    should(SequelizeAdapter.scope(Film, 'unknown')).be.undefined();
+  });
+
+  it("should tell the text attributes apart from the others", () => {
+    let attributes = SequelizeAdapter.attributes(Film);
+    SequelizeAdapter.isTextAttribute(attributes.title).should.be.true();
+    SequelizeAdapter.isTextAttribute(attributes.description).should.be.true();
+    SequelizeAdapter.isTextAttribute(attributes.releaseYear).should.be.false();
+  });
+
+  it("should tell the date and boolean attributes apart from the others", () => {
+    SequelizeAdapter.isDateAttribute({type: Sequelize.DATE}).should.be.true();
+    SequelizeAdapter.isDateAttribute({type: Sequelize.DATEONLY}).should.be.true();
+    SequelizeAdapter.isDateAttribute({type: Sequelize.STRING}).should.be.false();
+    SequelizeAdapter.isBooleanAttribute({type: Sequelize.BOOLEAN}).should.be.true();
+    SequelizeAdapter.isBooleanAttribute(SequelizeAdapter.attributes(Film).releaseYear).should.be.false();
+  });
+
+  it("should describe the columns without their length", done => {
+    let model = {describe: () => Promise.resolve({title: {type: 'CHARACTER VARYING(45)', allowNull: true}})};
+    SequelizeAdapter.describe(model).then(description => {
+      description.should.eql({title: {type: 'CHARACTER VARYING', allowNull: true}});
+      done();
+    });
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+let should = require("should");
+let sequelize = require('./sequelize');
+let SearchModel = require('../');
+let { models: { FilmMaterializedView } } = sequelize;
+
+module.exports = describe("suggest words from the vocabulary", () => {
+  let queryInterface = new SearchModel.QueryInterface(sequelize.getQueryInterface());
+
+  before(() => {
+    FilmMaterializedView.options.vocabulary = true;
+    return queryInterface.createVocabulary(FilmMaterializedView, {fields: ['title']});
+  });
+
+  after(() => {
+    delete FilmMaterializedView.options.vocabulary;
+    return queryInterface.dropVocabulary(FilmMaterializedView);
+  });
+
+  it("should complete a prefix with the lexemes of the documents", done => {
+    FilmMaterializedView.suggest("incep").then(words => {
+      words.map(word => word.word).should.containEql("incept");
+      words.forEach((word, i) => {
+        word.word.should.startWith("incep");
+        if (i > 0) words[i - 1].count.should.be.aboveOrEqual(word.count);
+      });
+      done();
+    });
+  });
+
+  it("should complete a prefix with the words of the titles", done => {
+    FilmMaterializedView.suggest("Incep", {fields: ["title"], limit: 1}).then(words => {
+      words.length.should.equal(1);
+      words[0].should.have.property("word", "inception");
+      done();
+    });
+  });
+
+  it("should reject with an UnknownAttributeError for a field that isn't an attribute of the reference model", done => {
+    FilmMaterializedView.suggest("incep", {fields: ["budget"]}).catch(err => {
+      err.should.be.instanceOf(SearchModel.UnknownAttributeError).and.have.property("key", "budget");
+      done();
+    });
+  });
+
+  it("should suggest corrections of misspelled words from the vocabulary", done => {
+    FilmMaterializedView.search("Incepshun", {fuzzy: {fields: ["title"]}}).then(films => {
+      films.suggestions.should.containEql({term: "Incepshun", suggestion: "incept"});
+      done();
+    });
+  });
+
+  it("should read the words of the fields from the reference model", done => {
+    queryInterface.createVocabulary(FilmMaterializedView, {name: "film_vocabulary", fields: ["title"], dryRun: true}).then(queries => {
+      queries[0].should.containEql('coalesce("film"."title"::TEXT').and
+        .containEql('INNER JOIN "film" ON "film"."film_id" = "film_materialized_view"."film_id"');
+      done();
+    });
+  });
+
+  it("should refresh the vocabulary along with the materialized view", done => {
+    FilmMaterializedView.refresh().then(() => FilmMaterializedView.suggest("incep", {fields: ["title"]})).then(words => {
+      words.length.should.be.above(0);
+      done();
+    });
+  });
+});
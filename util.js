@@ -11,28 +11,16 @@ const Util = {
   },
 
   /**
-   * Adds `allIndicesOf(substring)` function to the string prototype
+   * Calls fn and returns its promise, or a promise rejected with the error it throws, so that its errors are always reported the same way
+   * @param {Function} fn the function to call. It returns a promise or a value.
+   * @return {Promise} the promise of fn
    */
-  polyfillAllIndicesOf() {
-    /**
-     * Gets the indices of a string in another string.
-     * Finds the first index of the substring in the string using String.indexOf,
-     * then calls String.substring(index) to cut out the already searched part of the string.
-     * This repeats until there are no more instances of the substring.
-     * @param {String} substring the string to get the indices of
-     * @return {Array<Number>} indices of the substring in the string
-     */
-    String.prototype.allIndicesOf = function(substring) {
-      let indices = [this.indexOf(substring)];
-      do {
-        let prevIndex = indices[indices.length - 1] + 1;
-        var index = this.substring(prevIndex).indexOf(substring);
-        if (index > -1) {
-          indices.push(index + prevIndex);
-        }
-      } while (index > -1);
-      return indices;
-    };
+  promise(fn) {
+    try {
+      return Promise.resolve(fn());
+    } catch (err) {
+      return Promise.reject(err);
+    }
   }
 };
 